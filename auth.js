@@ -0,0 +1,437 @@
+// API keys, roles, rate limits, spend quotas and the audit log.
+// Every request but the web page and /health needs a key, sent as
+// "Authorization: Bearer <key>" or in an X-API-Key header. A key has a role:
+//   read   - search, retrieve, sessions, evaluations and listings
+//   ingest - also adds, updates and deletes documents and runs ingestion jobs
+//   admin  - also manages collections, templates, snapshots, the embedding
+//            cache, the keys themselves and the audit log, and dumps /documents
+// Each key may send RATE_LIMIT_PER_MINUTE requests a minute (default 120) and
+// spend EMBEDDING_TOKEN_QUOTA and GENERATION_TOKEN_QUOTA tokens a calendar
+// month on paid API calls (default unlimited), unless it has limits of its
+// own. Only calls that reach a paid API count: cache misses of the OpenAI
+// embedding provider and OpenAI answers (see embed.js). ADMIN_API_KEY is an
+// admin key that needs no database row; without it and without any admin key
+// in the database, one is created at startup and printed once. AUTH=off turns
+// authentication off, eg for local development; requests are audited either way.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+
+import { dbRun, dbGet, dbAll } from './db.js';
+
+// Lowest first; each role may do everything the ones before it may
+const ROLES = ['read', 'ingest', 'admin'];
+const USAGE_KINDS = ['embedding', 'generation'];
+
+// Requests that need no key
+const PUBLIC_PATHS = ['/', '/health'];
+// Request fields worth keeping in the audit log; content and vectors are not
+const AUDITED_FIELDS = ['query', 'title', 'source', 'name', 'role', 'mode', 'sessionId', 'template', 'background', 'unusedSince', 'model'];
+const MAX_AUDITED_LENGTH = 500;
+
+const authError = (message, status) => Object.assign(new Error(message), { status });
+
+const hashKey = (secret) => createHash('sha256').update(secret).digest('hex');
+// The calendar month usage is counted in, eg "2024-05"
+const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+/**
+ * Whether requests need an API key; AUTH=off turns it off.
+ * @returns {boolean} True unless authentication is off.
+ */
+function authEnabled() {
+    return process.env.AUTH !== 'off';
+}
+
+// The key of the request or job being handled, for the quota checks
+const context = new AsyncLocalStorage();
+
+/**
+ * Returns the API key the current request or job runs as.
+ * @returns {object|null} The key, or null when authentication is off.
+ */
+function currentKey() {
+    return context.getStore()?.key || null;
+}
+
+// The API shape of an api_keys row
+const keyDetails = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    role: row.role,
+    rateLimit: row.rate_limit,
+    embeddingQuota: row.embedding_quota,
+    generationQuota: row.generation_quota,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+});
+
+// ADMIN_API_KEY, as a key without database row, limits or quotas
+const environmentKey = () => ({
+    id: 'environment',
+    name: 'ADMIN_API_KEY',
+    prefix: null,
+    role: 'admin',
+    rateLimit: 0,
+    embeddingQuota: null,
+    generationQuota: null,
+});
+
+const matchesEnvironmentKey = (secret) => {
+    if (!process.env.ADMIN_API_KEY) return false;
+    // compare the hashes so the time taken says nothing about the key
+    return timingSafeEqual(Buffer.from(hashKey(secret)), Buffer.from(hashKey(process.env.ADMIN_API_KEY)));
+};
+
+// The active key with this secret, if any; last_used_at is kept to the minute
+const findKey = async (secret) => {
+    if (matchesEnvironmentKey(secret)) return environmentKey();
+    const row = await dbGet(`SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL`, [hashKey(secret)]);
+    if (!row) return null;
+    const now = new Date();
+    if (!row.last_used_at || now - new Date(row.last_used_at) > 60000) {
+        await dbRun(`UPDATE api_keys SET last_used_at = ? WHERE id = ?`, [now.toISOString(), row.id]);
+    }
+    return keyDetails(row);
+};
+
+// The secret sent with a request, if any
+const requestSecret = (req) => {
+    const header = req.get('authorization');
+    if (header && /^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, '').trim();
+    return req.get('x-api-key') || null;
+};
+
+// Requests counted per key in the current one-minute window
+const windows = new Map(); // key id -> { start, count }
+
+// Counts a request against the key's limit; 0 means no limit
+const takeRequest = (key) => {
+    const limit = key.rateLimit ?? Number(process.env.RATE_LIMIT_PER_MINUTE ?? 120);
+    if (!limit) return null;
+    const now = Date.now();
+    let window = windows.get(key.id);
+    if (!window || now - window.start >= 60000) {
+        window = { start: now, count: 0 };
+        windows.set(key.id, window);
+    }
+    window.count++;
+    return { limit, remaining: Math.max(0, limit - window.count), reset: Math.ceil((window.start + 60000 - now) / 1000), exceeded: window.count > limit };
+};
+
+// Keeps the short scalar fields of an object that AUDITED_FIELDS lists
+const auditedFields = (source) => {
+    if (!source || typeof source !== 'object' || Buffer.isBuffer(source)) return {};
+    return Object.fromEntries(AUDITED_FIELDS
+        .filter((field) => ['string', 'number', 'boolean'].includes(typeof source[field]))
+        .map((field) => [field, typeof source[field] === 'string' ? source[field].slice(0, MAX_AUDITED_LENGTH) : source[field]]));
+};
+
+// The collection a request worked on, once it has been handled
+const requestCollection = (req) => req.collection?.name
+    || (req.route?.path.startsWith('/collections/:name') ? req.params.name : null)
+    || req.query.collection
+    || (req.body && typeof req.body.collection === 'string' ? req.body.collection : null);
+
+// Appends a finished request to the audit log
+const auditRequest = (req, res) => {
+    const key = req.apiKey;
+    const details = { ...auditedFields(req.query), ...auditedFields(req.body) };
+    dbRun(
+        `INSERT INTO audit_log (at, key_id, key_name, role, method, route, url, collection, status, details, ip)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            new Date().toISOString(), key?.id ?? null, key?.name ?? null, key?.role ?? null, req.method,
+            req.route ? `${req.baseUrl}${req.route.path}` : null, req.originalUrl.slice(0, 2000), requestCollection(req),
+            res.statusCode, JSON.stringify(details), req.ip,
+        ]
+    ).catch((err) => console.error('Error writing audit log:', err));
+};
+
+/**
+ * Express middleware that identifies the request's API key, applies its rate
+ * limit and audits the request once it is answered. Answers 401 without a
+ * valid key and 429 over the limit, with Retry-After.
+ */
+async function authenticate(req, res, next) {
+    if (req.method === 'GET' && PUBLIC_PATHS.includes(req.path)) return next();
+    req.apiKey = null;
+    // close also fires when the client goes away before the answer is complete
+    res.once('close', () => auditRequest(req, res));
+    if (!authEnabled()) return context.run({ key: null }, next);
+    const secret = requestSecret(req);
+    if (!secret) {
+        return res.status(401).json({ error: 'An API key is required.', details: 'Send it as "Authorization: Bearer <key>" or in an X-API-Key header.' });
+    }
+    let key;
+    try {
+        key = await findKey(secret);
+    } catch (err) {
+        console.error('Error checking API key:', err);
+        return res.status(500).json({ error: 'Error checking API key.', details: err.message });
+    }
+    if (!key) return res.status(401).json({ error: 'Invalid or revoked API key.' });
+    req.apiKey = key;
+    const rate = takeRequest(key);
+    if (rate) {
+        res.set({ 'X-RateLimit-Limit': rate.limit, 'X-RateLimit-Remaining': rate.remaining, 'X-RateLimit-Reset': rate.reset });
+        if (rate.exceeded) {
+            res.set('Retry-After', rate.reset);
+            return res.status(429).json({ error: `Rate limit of ${rate.limit} requests a minute exceeded.`, retryAfter: rate.reset });
+        }
+    }
+    context.run({ key }, next);
+}
+
+/**
+ * Builds Express middleware that lets a request through only if its key has
+ * the given role or a higher one; answers 403 otherwise. Routes with their
+ * own body parser put it before this, since the parser's stream callbacks
+ * lose the key's async context and this restores it.
+ * @param {string} role - "read", "ingest" or "admin".
+ * @returns {function} The middleware.
+ */
+function authorize(role) {
+    return (req, res, next) => {
+        if (!authEnabled()) return next();
+        if (req.apiKey && ROLES.indexOf(req.apiKey.role) >= ROLES.indexOf(role)) return context.run({ key: req.apiKey }, next);
+        res.status(403).json({ error: `This needs an API key with the ${role} role.`, role: req.apiKey?.role ?? null });
+    };
+}
+
+// A key's monthly quota for a kind of usage: its own, else the server default
+const quotaOf = (key, kind) => {
+    const own = key[`${kind}Quota`];
+    if (own !== null && own !== undefined) return own;
+    const fallback = process.env[`${kind.toUpperCase()}_TOKEN_QUOTA`];
+    return fallback ? Number(fallback) : null;
+};
+
+/**
+ * Throws if the current key has used up this month's quota for a kind of paid
+ * call. Does nothing without a key.
+ * @param {string} kind - "embedding" or "generation".
+ * @throws {Error} With status 429 when the quota is used up.
+ */
+async function checkQuota(kind) {
+    if (!USAGE_KINDS.includes(kind)) throw new Error(`Unknown usage kind: ${kind}`);
+    const key = currentKey();
+    if (!key) return;
+    const quota = quotaOf(key, kind);
+    if (quota === null) return;
+    const period = currentPeriod();
+    const usage = await dbGet(`SELECT ${kind}_tokens AS used FROM api_key_usage WHERE key_id = ? AND period = ?`, [key.id, period]);
+    if ((usage?.used || 0) >= quota) {
+        throw authError(`API key ${key.name} has used its ${quota} ${kind} tokens for ${period}.`, 429);
+    }
+}
+
+/**
+ * Adds tokens spent on a paid call to the current key's usage for this month.
+ * Does nothing without a key.
+ * @param {string} kind - "embedding" or "generation".
+ * @param {number} tokens - The tokens the call used.
+ */
+async function recordUsage(kind, tokens) {
+    if (!USAGE_KINDS.includes(kind)) throw new Error(`Unknown usage kind: ${kind}`);
+    const key = currentKey();
+    if (!key || !(tokens > 0)) return;
+    const column = `${kind}_tokens`;
+    await dbRun(
+        `INSERT INTO api_key_usage (key_id, period, ${column}) VALUES (?, ?, ?)
+         ON CONFLICT (key_id, period) DO UPDATE SET ${column} = ${column} + excluded.${column}`,
+        [key.id, currentPeriod(), tokens]
+    );
+}
+
+/**
+ * Runs a function as the given key, so its paid calls count against that
+ * key's quotas; jobs use this to charge the key that queued them.
+ * @param {string|null} keyId - The key id, eg as stored with a job.
+ * @param {function(): Promise} fn - The work to do.
+ * @returns {Promise} What fn returns.
+ * @throws {Error} With status 403, before running fn, if the key has been revoked.
+ */
+async function runAsKey(keyId, fn) {
+    let key = null;
+    if (keyId === 'environment') key = environmentKey();
+    else if (keyId) {
+        const row = await dbGet(`SELECT * FROM api_keys WHERE id = ?`, [keyId]);
+        if (!row || row.revoked_at) {
+            throw authError(`API key ${row ? row.name : keyId} has been revoked; resume the job with another key.`, 403);
+        }
+        key = keyDetails(row);
+    }
+    return context.run({ key }, fn);
+}
+
+// Checks the role and limits of a key being created or changed
+const validateKeyFields = (fields) => {
+    if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+        throw authError('name must be a non-empty string', 400);
+    }
+    if (fields.role !== undefined && !ROLES.includes(fields.role)) {
+        throw authError(`role must be one of ${ROLES.join(', ')}`, 400);
+    }
+    for (const field of ['rateLimit', 'embeddingQuota', 'generationQuota']) {
+        const value = fields[field];
+        if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+            throw authError(`${field} must be a non-negative integer, or null for the server default`, 400);
+        }
+    }
+};
+
+// This month's usage of each key
+const usageByKey = async () => {
+    const rows = await dbAll(`SELECT * FROM api_key_usage WHERE period = ?`, [currentPeriod()]);
+    return new Map(rows.map((row) => [row.key_id, { embeddingTokens: row.embedding_tokens, generationTokens: row.generation_tokens }]));
+};
+
+const withUsage = (key, usage) => ({ ...key, usage: { period: currentPeriod(), ...(usage.get(key.id) || { embeddingTokens: 0, generationTokens: 0 }) } });
+
+/**
+ * Creates an API key. The key itself is only ever returned here; the
+ * database keeps its hash.
+ * @param {object} fields
+ * @param {string} fields.name - Who or what the key is for.
+ * @param {string} [fields.role] - "read" (default), "ingest" or "admin".
+ * @param {number|null} [fields.rateLimit] - Requests a minute; 0 for no limit, null for RATE_LIMIT_PER_MINUTE.
+ * @param {number|null} [fields.embeddingQuota] - Embedding tokens a month; null for EMBEDDING_TOKEN_QUOTA.
+ * @param {number|null} [fields.generationQuota] - Generation tokens a month; null for GENERATION_TOKEN_QUOTA.
+ * @returns {object} The key's details, with the key under "key".
+ * @throws {Error} With status 400 for an invalid field.
+ */
+async function createKey({ name, role = 'read', rateLimit = null, embeddingQuota = null, generationQuota = null } = {}) {
+    validateKeyFields({ name: name ?? '', role, rateLimit, embeddingQuota, generationQuota });
+    const secret = `vdb_${randomBytes(24).toString('base64url')}`;
+    const id = randomUUID();
+    await dbRun(
+        `INSERT INTO api_keys (id, name, key_hash, prefix, role, rate_limit, embedding_quota, generation_quota, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, name.trim(), hashKey(secret), secret.slice(0, 10), role, rateLimit, embeddingQuota, generationQuota, new Date().toISOString()]
+    );
+    return { ...(await getKey(id)), key: secret };
+}
+
+/**
+ * Returns a key's details and this month's usage.
+ * @param {string} id - The key id.
+ * @returns {object|null} The key, or null if there is none.
+ */
+async function getKey(id) {
+    const row = await dbGet(`SELECT * FROM api_keys WHERE id = ?`, [id]);
+    return row ? withUsage(keyDetails(row), await usageByKey()) : null;
+}
+
+/**
+ * Lists the keys, oldest first, with this month's usage.
+ * @param {object} [filters]
+ * @param {boolean} [filters.revoked] - Include revoked keys.
+ * @returns {object[]} The keys.
+ */
+async function listKeys({ revoked = false } = {}) {
+    const rows = await dbAll(`SELECT * FROM api_keys ${revoked ? '' : 'WHERE revoked_at IS NULL'} ORDER BY created_at`);
+    const usage = await usageByKey();
+    return rows.map((row) => withUsage(keyDetails(row), usage));
+}
+
+/**
+ * Changes a key's name, role or limits; fields left out are kept.
+ * @param {string} id - The key id.
+ * @param {object} fields - name, role, rateLimit, embeddingQuota, generationQuota, as for createKey.
+ * @returns {object} The key.
+ * @throws {Error} With status 404 if there is no such key, 409 if it is revoked, 400 for an invalid field.
+ */
+async function updateKey(id, fields = {}) {
+    validateKeyFields(fields);
+    const row = await dbGet(`SELECT revoked_at FROM api_keys WHERE id = ?`, [id]);
+    if (!row) throw authError(`API key ${id} not found.`, 404);
+    if (row.revoked_at) throw authError(`API key ${id} is revoked.`, 409);
+    const columns = { name: 'name', role: 'role', rateLimit: 'rate_limit', embeddingQuota: 'embedding_quota', generationQuota: 'generation_quota' };
+    const changes = Object.entries(columns).filter(([field]) => fields[field] !== undefined);
+    if (changes.length > 0) {
+        await dbRun(
+            `UPDATE api_keys SET ${changes.map(([, column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...changes.map(([field]) => (field === 'name' ? fields.name.trim() : fields[field])), id]
+        );
+    }
+    windows.delete(id);
+    return getKey(id);
+}
+
+/**
+ * Revokes a key; it stops working straight away but stays listed, with its
+ * usage and audit entries.
+ * @param {string} id - The key id.
+ * @returns {boolean} Whether there was such an active key.
+ */
+async function revokeKey(id) {
+    const { changes } = await dbRun(`UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`, [new Date().toISOString(), id]);
+    return changes > 0;
+}
+
+/**
+ * Creates an admin key and prints it when authentication is on and there is
+ * no way to administer the server yet: no ADMIN_API_KEY and no active admin
+ * key. Called once at startup.
+ */
+async function initializeAuth() {
+    if (!authEnabled()) {
+        console.log('Authentication is off (AUTH=off); every request is allowed.');
+        return;
+    }
+    if (process.env.ADMIN_API_KEY) return;
+    const admin = await dbGet(`SELECT id FROM api_keys WHERE role = 'admin' AND revoked_at IS NULL`);
+    if (admin) return;
+    const { key } = await createKey({ name: 'bootstrap admin', role: 'admin' });
+    console.log(`Created an admin API key; it is not shown again:\n  ${key}\nUse it to create other keys with POST /keys.`);
+}
+
+// The API shape of an audit_log row
+const auditDetails = (row) => ({
+    id: row.id,
+    at: row.at,
+    keyId: row.key_id,
+    keyName: row.key_name,
+    role: row.role,
+    method: row.method,
+    route: row.route,
+    url: row.url,
+    collection: row.collection,
+    status: row.status,
+    details: row.details ? JSON.parse(row.details) : {},
+    ip: row.ip,
+});
+
+/**
+ * Reads the audit log, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.key] - Only requests made with this key id.
+ * @param {string} [filters.collection] - Only requests on this collection.
+ * @param {string} [filters.since] - Only requests at or after this ISO date.
+ * @param {string} [filters.until] - Only requests before this ISO date.
+ * @param {number} [filters.before] - Only entries with a smaller id, for paging.
+ * @param {number} [filters.limit] - The most entries to return (default 100).
+ * @returns {object[]} The entries.
+ */
+async function listAudit({ key = null, collection = null, since = null, until = null, before = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    for (const [condition, value] of [['key_id = ?', key], ['collection = ?', collection], ['at >= ?', since], ['at < ?', until], ['id < ?', before]]) {
+        if (value === null || value === undefined) continue;
+        conditions.push(condition);
+        params.push(value);
+    }
+    const rows = await dbAll(
+        `SELECT * FROM audit_log ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+        [...params, limit]
+    );
+    return rows.map(auditDetails);
+}
+
+export {
+    ROLES, authEnabled, currentKey, authenticate, authorize, checkQuota, recordUsage, runAsKey,
+    createKey, getKey, listKeys, updateKey, revokeKey, initializeAuth, listAudit,
+};
@@ -0,0 +1,112 @@
+// Embedding cache: vectors stored in SQLite by content hash and embedding
+// model, so text that was embedded before (a re-ingested chunk, the same chunk
+// in another collection, a repeated /search query) is not sent to the provider
+// again. Only providers that call out to an API are cached; EMBEDDING_CACHE=off
+// turns the cache off.
+
+import { dbRun, dbAll, hashContent } from './db.js';
+import { decodeVector } from './quantize.js';
+
+// sqlite3 builds are limited to 999 bound parameters per statement
+const LOOKUP_BATCH = 500;
+
+const stats = { hits: 0, misses: 0 };
+
+const enabled = (provider) => provider.cacheable && process.env.EMBEDDING_CACHE !== 'off';
+
+/**
+ * Looks texts up in the cache.
+ * @param {string[]} texts - The texts to embed.
+ * @param {object} provider - The embedding provider.
+ * @returns {Map<string, number[]>} The cached vector of each text that has one.
+ */
+async function cachedEmbeddings(texts, provider) {
+    const found = new Map();
+    if (!enabled(provider)) return found;
+    const byHash = new Map(texts.map((text) => [hashContent(text), text]));
+    const hashes = [...byHash.keys()];
+    for (let i = 0; i < hashes.length; i += LOOKUP_BATCH) {
+        const batch = hashes.slice(i, i + LOOKUP_BATCH);
+        const rows = await dbAll(
+            `SELECT content_hash, vector FROM embedding_cache
+             WHERE provider = ? AND model = ? AND content_hash IN (${batch.map(() => '?').join(',')})`,
+            [provider.name, provider.model, ...batch]
+        );
+        for (const row of rows) {
+            found.set(byHash.get(row.content_hash), Array.from(decodeVector(row.vector)));
+        }
+    }
+    stats.hits += found.size;
+    stats.misses += byHash.size - found.size;
+    if (found.size > 0) await touch(provider, [...found.keys()]);
+    return found;
+}
+
+// Records when cached vectors were last used, so old ones can be pruned
+const touch = async (provider, texts) => {
+    const hashes = texts.map(hashContent);
+    for (let i = 0; i < hashes.length; i += LOOKUP_BATCH) {
+        const batch = hashes.slice(i, i + LOOKUP_BATCH);
+        await dbRun(
+            `UPDATE embedding_cache SET used_at = ? WHERE provider = ? AND model = ? AND content_hash IN (${batch.map(() => '?').join(',')})`,
+            [new Date().toISOString(), provider.name, provider.model, ...batch]
+        );
+    }
+};
+
+/**
+ * Stores freshly computed vectors.
+ * @param {string[]} texts - The embedded texts.
+ * @param {number[][]} vectors - Their vectors, in the same order.
+ * @param {object} provider - The embedding provider that computed them.
+ */
+async function cacheEmbeddings(texts, vectors, provider) {
+    if (!enabled(provider)) return;
+    const now = new Date().toISOString();
+    for (const [i, text] of texts.entries()) {
+        await dbRun(
+            `INSERT OR REPLACE INTO embedding_cache (provider, model, content_hash, dimension, vector, created_at, used_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [provider.name, provider.model, hashContent(text), vectors[i].length, Buffer.from(new Float32Array(vectors[i]).buffer), now, now]
+        );
+    }
+}
+
+/**
+ * Describes the cache: entries and bytes per model, and hits and misses since startup.
+ * @returns {object} { enabled, models: [{ provider, model, dimension, entries, bytes }], hits, misses }.
+ */
+async function cacheStats() {
+    const models = await dbAll(
+        `SELECT provider, model, dimension, COUNT(*) AS entries, SUM(length(vector)) AS bytes
+         FROM embedding_cache GROUP BY provider, model, dimension ORDER BY provider, model`
+    );
+    return { enabled: process.env.EMBEDDING_CACHE !== 'off', models, ...stats };
+}
+
+/**
+ * Empties the cache, or the part of it for one model.
+ * @param {object} [filter]
+ * @param {string} [filter.model] - Only this model's vectors.
+ * @param {string} [filter.unusedSince] - Only vectors not used since this ISO date.
+ * @returns {number} The number of vectors removed.
+ */
+async function clearCache({ model = null, unusedSince = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (model) {
+        conditions.push('model = ?');
+        params.push(model);
+    }
+    if (unusedSince) {
+        conditions.push('used_at < ?');
+        params.push(unusedSince);
+    }
+    const { changes } = await dbRun(
+        `DELETE FROM embedding_cache ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+        params
+    );
+    return changes;
+}
+
+export { cachedEmbeddings, cacheEmbeddings, cacheStats, clearCache };
@@ -0,0 +1,240 @@
+// Chunking strategies. Every strategy returns chunks of the form
+//   { text, start, end }
+// where start/end are character offsets into the original text.
+//   words     - fixed windows of `size` words with `overlap` words shared (the original behaviour)
+//   tokens    - windows of at most `size` tokens, counted with the cl100k_base
+//               tokenizer used by the OpenAI embedding models, never cutting a word
+//   sentences - whole sentences packed up to `size` tokens
+//   recursive - split on headings, then paragraphs, lines, sentences and words,
+//               packing the pieces up to `size` tokens
+//   semantic  - sentences grouped until the embedding similarity between
+//               neighbouring sentences drops sharply, capped at `size` tokens
+// For the token-based strategies `overlap` is in tokens and is made of whole
+// trailing pieces of the previous chunk.
+
+import { encode } from 'gpt-tokenizer/encoding/cl100k_base';
+
+const CHUNKING_STRATEGIES = ['words', 'tokens', 'sentences', 'recursive', 'semantic'];
+
+/**
+ * Counts tokens the way the OpenAI embedding models do.
+ * @param {string} text - The text.
+ * @returns {number} The number of cl100k_base tokens.
+ */
+function countTokens(text) {
+    // special-token markup in documents is just text here
+    return encode(text, { disallowedSpecial: new Set() }).length;
+}
+
+// Pieces of text matched by `regex`, with their offsets
+const segmentsOf = (text, regex, base = 0) => [...text.matchAll(regex)]
+    .filter((match) => match[0].trim())
+    .map((match) => ({ start: base + match.index, end: base + match.index + match[0].length }));
+
+const wordsOf = (text, base = 0) => segmentsOf(text, /\S+/g, base);
+const sentencesOf = (text, base = 0) => segmentsOf(text, /[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)/g, base).map(({ start, end }) => {
+    // trim the whitespace each match picks up at the edges
+    const raw = text.slice(start - base, end - base);
+    const lead = raw.length - raw.trimStart().length;
+    const trail = raw.length - raw.trimEnd().length;
+    return { start: start + lead, end: end - trail };
+});
+
+const chunkFromRange = (text, start, end) => ({ text: text.slice(start, end), start, end });
+
+// The original strategy: windows of N words with M words of overlap
+function chunkWords(text, N, M) {
+    const words = [...text.matchAll(/\S+/g)];
+    const chunks = [];
+
+    for (let i = 0; i < words.length; i += (N - M)) {
+        const chunkWords = words.slice(i, i + N);
+        const last = chunkWords[chunkWords.length - 1];
+        chunks.push({
+            text: chunkWords.map((word) => word[0]).join(' '),
+            start: chunkWords[0].index,
+            end: last.index + last[0].length,
+        });
+        // Ensure overlap only occurs until the end of the text
+        if (i + N >= words.length) break;
+    }
+
+    return chunks;
+}
+
+// Greedily packs consecutive segments into chunks of at most `size` tokens,
+// starting each chunk with trailing segments of the previous one worth up to
+// `overlap` tokens. A segment over `size` on its own becomes its own chunk.
+function pack(text, segments, size, overlap, tokenCount) {
+    const tokens = segments.map((segment) => tokenCount(text.slice(segment.start, segment.end)));
+    const chunks = [];
+    let first = 0;
+    while (first < segments.length) {
+        let last = first;
+        let total = tokens[first];
+        while (last + 1 < segments.length && total + tokens[last + 1] <= size) {
+            last++;
+            total += tokens[last];
+        }
+        chunks.push(chunkFromRange(text, segments[first].start, segments[last].end));
+        if (last + 1 >= segments.length) break;
+        // step back over up to `overlap` tokens, always moving forward overall
+        let next = last + 1;
+        let carried = 0;
+        while (next - 1 > first && carried + tokens[next - 1] <= overlap) {
+            next--;
+            carried += tokens[next];
+        }
+        first = next;
+    }
+    return chunks;
+}
+
+// Word-level token counts, cached because the same words recur constantly
+const createTokenCounter = () => {
+    const cache = new Map();
+    return (piece) => {
+        if (!cache.has(piece)) cache.set(piece, countTokens(piece));
+        return cache.get(piece);
+    };
+};
+
+function chunkTokens(text, size, overlap) {
+    const tokenCount = createTokenCounter();
+    // count each word with its leading space, as it is tokenised in running text
+    return pack(text, wordsOf(text), size, overlap, (word) => tokenCount(` ${word}`));
+}
+
+// Splits a segment that is over `size` into sentence-sized pieces, and a
+// sentence that is still too long into words
+const splitOversized = (text, segment, size, tokenCount) => {
+    const pieceText = text.slice(segment.start, segment.end);
+    if (tokenCount(pieceText) <= size) return [segment];
+    const sentences = sentencesOf(pieceText, segment.start);
+    if (sentences.length > 1) return sentences.flatMap((sentence) => splitOversized(text, sentence, size, tokenCount));
+    return wordsOf(pieceText, segment.start);
+};
+
+function chunkSentences(text, size, overlap) {
+    const tokenCount = createTokenCounter();
+    const segments = sentencesOf(text).flatMap((sentence) => splitOversized(text, sentence, size, tokenCount));
+    return pack(text, segments, size, overlap, tokenCount);
+}
+
+// Separators tried in order: markdown headings, blank lines, single line breaks
+const RECURSIVE_SEPARATORS = [/(?=^#{1,6}\s)/m, /\n\s*\n/, /\n/];
+
+// Splits text into the largest pieces under `size` tokens, trying coarse
+// separators first and only falling back to finer ones for oversized pieces
+const splitRecursive = (text, segment, size, tokenCount, level = 0) => {
+    if (tokenCount(text.slice(segment.start, segment.end)) <= size) return [segment];
+    if (level >= RECURSIVE_SEPARATORS.length) return splitOversized(text, segment, size, tokenCount);
+    const separator = new RegExp(RECURSIVE_SEPARATORS[level].source, `g${RECURSIVE_SEPARATORS[level].flags}`);
+    const pieceText = text.slice(segment.start, segment.end);
+    const pieces = [];
+    let from = 0;
+    for (const match of pieceText.matchAll(separator)) {
+        if (match.index > from) pieces.push({ start: segment.start + from, end: segment.start + match.index });
+        from = match.index + match[0].length;
+    }
+    if (from < pieceText.length) pieces.push({ start: segment.start + from, end: segment.end });
+    return pieces
+        .filter((piece) => text.slice(piece.start, piece.end).trim())
+        .flatMap((piece) => splitRecursive(text, piece, size, tokenCount, level + 1));
+};
+
+function chunkRecursive(text, size, overlap) {
+    const tokenCount = createTokenCounter();
+    const segments = splitRecursive(text, { start: 0, end: text.length }, size, tokenCount);
+    return pack(text, segments, size, overlap, tokenCount);
+}
+
+// Sentences are grouped until the cosine similarity between a sentence and the
+// next falls into the lowest `breakpointPercentile` percent of all neighbouring
+// pairs in the text, or the group would pass `size` tokens
+async function chunkSemantic(text, size, { embed, breakpointPercentile = 10 }) {
+    if (!embed) throw new Error('Semantic chunking needs an embedding function');
+    const tokenCount = createTokenCounter();
+    const sentences = sentencesOf(text).flatMap((sentence) => splitOversized(text, sentence, size, tokenCount));
+    if (sentences.length < 2) return sentences.map((sentence) => chunkFromRange(text, sentence.start, sentence.end));
+    const vectors = await embed(sentences.map((sentence) => text.slice(sentence.start, sentence.end)));
+    const cosine = (a, b) => {
+        let dot = 0, normA = 0, normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    };
+    const similarities = sentences.slice(1).map((sentence, i) => cosine(vectors[i], vectors[i + 1]));
+    const sorted = [...similarities].sort((a, b) => a - b);
+    const threshold = sorted[Math.min(sorted.length - 1, Math.floor((sorted.length * breakpointPercentile) / 100))];
+
+    const chunks = [];
+    let first = 0;
+    let total = tokenCount(text.slice(sentences[0].start, sentences[0].end));
+    for (let i = 1; i < sentences.length; i++) {
+        const tokens = tokenCount(text.slice(sentences[i].start, sentences[i].end));
+        if (similarities[i - 1] <= threshold || total + tokens > size) {
+            chunks.push(chunkFromRange(text, sentences[first].start, sentences[i - 1].end));
+            first = i;
+            total = 0;
+        }
+        total += tokens;
+    }
+    chunks.push(chunkFromRange(text, sentences[first].start, sentences[sentences.length - 1].end));
+    return chunks;
+}
+
+/**
+ * Cuts text down to at most `maxTokens` tokens, at a word boundary.
+ * @param {string} text - The text.
+ * @param {number} maxTokens - The most tokens to keep.
+ * @returns {string} The longest prefix of whole words within the limit.
+ */
+function truncateTokens(text, maxTokens) {
+    const tokenCount = createTokenCounter();
+    let total = 0;
+    let end = 0;
+    for (const word of wordsOf(text)) {
+        total += tokenCount(` ${text.slice(word.start, word.end)}`);
+        if (total > maxTokens) break;
+        end = word.end;
+    }
+    return text.slice(0, end);
+}
+
+/**
+ * Splits text into chunks.
+ * @param {string} text - The text.
+ * @param {object} options
+ * @param {string} [options.strategy] - One of CHUNKING_STRATEGIES.
+ * @param {number} options.size - Chunk size, in words for "words" and tokens otherwise.
+ * @param {number} options.overlap - Overlap between neighbouring chunks, in the same unit.
+ * @param {function(string[]): Promise<number[][]>} [options.embed] - Embeds sentences, for "semantic".
+ * @param {number} [options.breakpointPercentile] - How many neighbour pairs, in percent, become breaks for "semantic".
+ * @returns {Promise<{text: string, start: number, end: number}[]>} The chunks.
+ */
+async function chunkText(text, { strategy = 'words', size, overlap, embed, breakpointPercentile } = {}) {
+    if (!CHUNKING_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown chunking strategy: ${strategy}`);
+    }
+    if (!(size > 0) || !(overlap >= 0) || overlap >= size) {
+        throw new Error('Chunk size must be positive and larger than the overlap');
+    }
+    switch (strategy) {
+        case 'words':
+            return chunkWords(text, size, overlap);
+        case 'tokens':
+            return chunkTokens(text, size, overlap);
+        case 'sentences':
+            return chunkSentences(text, size, overlap);
+        case 'recursive':
+            return chunkRecursive(text, size, overlap);
+        default:
+            return chunkSemantic(text, size, { embed, breakpointPercentile });
+    }
+}
+
+export { CHUNKING_STRATEGIES, chunkText, countTokens, truncateTokens };
@@ -0,0 +1,535 @@
+// Named collections. Each collection is a separate knowledge base inside
+// vectors.db: its chunks are the documents rows tagged with its name, and it
+// has its own FAISS and keyword indexes, snapshot files, embedding provider and
+// default chunking settings. The "default" collection always exists and
+// follows the EMBEDDING_*, CHUNK_*, FAISS/HNSW_*/PQ_*, VECTOR_STORAGE and NEAR_DUPLICATE_* environment variables;
+// other collections keep the settings they were created with.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { dbRun, dbGet, dbAll, hashContent, hashChecksum } from './db.js';
+import { createEmbeddingProvider, chunkingSettings } from './embed.js';
+import { QUANTIZATIONS, createIndex, saveIndex, loadIndex } from './faiss.js';
+import { VECTOR_FORMATS, decodeVector } from './quantize.js';
+import { createKeywordIndex, restoreKeywordIndex } from './keyword.js';
+import { deleteCollectionSessions } from './sessions.js';
+import { deleteCollectionJobs } from './jobs.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_COLLECTION = 'default';
+const COLLECTION_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const INDEX_TYPES = ['hnsw', 'flat'];
+const NEAR_DUPLICATE_ACTIONS = ['flag', 'skip'];
+
+// In-memory vector index (see faiss.js). FAISS_INDEX picks "hnsw" or "flat";
+// the HNSW_* variables trade recall against speed and memory.
+// FAISS_QUANTIZATION ("none", "int8" or "pq", with PQ_SUBVECTORS and
+// PQ_TRAIN_SIZE) shrinks the vectors held in memory; quantized indexes return
+// FAISS_RESCORE (default 4) times as many candidates as asked for, which are
+// re-ranked with the vectors stored in SQLite. FAISS_RESCORE=0 turns that off.
+const envNumber = (name) => (process.env[name] ? Number(process.env[name]) : undefined);
+const envIndexOptions = () => ({
+    type: process.env.FAISS_INDEX || 'hnsw',
+    M: envNumber('HNSW_M'),
+    efConstruction: envNumber('HNSW_EF_CONSTRUCTION'),
+    efSearch: envNumber('HNSW_EF_SEARCH'),
+    exactThreshold: envNumber('FAISS_EXACT_THRESHOLD'),
+    compactThreshold: envNumber('FAISS_COMPACT_THRESHOLD'),
+    compactMinimum: envNumber('FAISS_COMPACT_MINIMUM'),
+    quantization: process.env.FAISS_QUANTIZATION || 'none',
+    pqSubvectors: envNumber('PQ_SUBVECTORS'),
+    pqTrainSize: envNumber('PQ_TRAIN_SIZE'),
+    rescore: envNumber('FAISS_RESCORE') ?? 4,
+});
+
+// Near-duplicate detection at ingest: a new chunk whose embedding has at least
+// NEAR_DUPLICATE_THRESHOLD cosine similarity to a stored chunk is flagged
+// (stored with near_duplicate_of set) or skipped, per NEAR_DUPLICATE_ACTION.
+// No threshold turns detection off.
+const envNearDuplicates = () => ({
+    threshold: envNumber('NEAR_DUPLICATE_THRESHOLD') ?? null,
+    action: process.env.NEAR_DUPLICATE_ACTION || 'flag',
+});
+
+// The default collection's index is saved to FAISS_SNAPSHOT (vectors.index);
+// other collections save theirs next to it as vectors.index.<name>
+const SNAPSHOT_PATH = process.env.FAISS_SNAPSHOT || path.join(__dirname, 'vectors.index');
+const snapshotPathFor = (name) => (name === DEFAULT_COLLECTION ? SNAPSHOT_PATH : `${SNAPSHOT_PATH}.${name}`);
+
+const collectionError = (message, status) => Object.assign(new Error(message), { status });
+
+// sqlite3 builds are limited to 999 bound parameters per statement
+const LOOKUP_BATCH = 500;
+
+const cosine = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+const collections = new Map(); // name -> collection
+
+/**
+ * Resolves stored collection settings, filling gaps from the environment.
+ * @param {object} [stored] - { embedding: {provider, model, dimension}, chunking, index, storage, nearDuplicates }.
+ * @returns {object} Complete settings.
+ */
+function resolveSettings(stored = {}) {
+    const embedding = stored.embedding || {};
+    return {
+        embedding: {
+            provider: embedding.provider || process.env.EMBEDDING_PROVIDER || 'openai',
+            model: embedding.model || undefined,
+            dimension: embedding.dimension || undefined,
+        },
+        chunking: chunkingSettings(stored.chunking || {}),
+        index: { ...envIndexOptions(), ...(stored.index || {}) },
+        // how vectors are written to the documents table: VECTOR_STORAGE "float32" or "int8"
+        storage: stored.storage || process.env.VECTOR_STORAGE || 'float32',
+        nearDuplicates: { ...envNearDuplicates(), ...(stored.nearDuplicates || {}) },
+    };
+}
+
+/**
+ * Creates the in-memory side of a collection: its embedding provider, FAISS
+ * and keyword indexes and their snapshot.
+ * @param {string} name - The collection name.
+ * @param {object} settings - Settings from resolveSettings.
+ * @returns {object} The collection.
+ */
+function createCollection(name, settings) {
+    const provider = createEmbeddingProvider(settings.embedding.provider, settings.embedding);
+    const indexOptions = settings.index;
+    // The snapshot header records the highest document id it holds (high-water
+    // mark) plus the count and sums of its ids and content hashes, which are
+    // checked against SQLite before use so deletes and edits are noticed too.
+    // The keyword index is saved next to it as JSON with the same header.
+    const snapshotPath = snapshotPathFor(name);
+    const keywordSnapshotPath = `${snapshotPath}.keywords.json`;
+    let snapshotTimer = null;
+
+    const collection = {
+        name,
+        // what the environment filled in is pinned once a collection is stored
+        settings: { ...settings, embedding: { provider: provider.name, model: provider.model, dimension: provider.dimension } },
+        provider,
+        faiss: createIndex(indexOptions),
+        // BM25 index over the same chunks (see keyword.js), for keyword and hybrid search
+        keywords: createKeywordIndex(),
+        state: { status: 'loading', highWaterMark: 0, count: 0, idSum: 0, hashSum: 0, error: null },
+        snapshotFiles: [snapshotPath, keywordSnapshotPath],
+
+        get pendingSnapshot() {
+            return snapshotTimer !== null;
+        },
+
+        saveSnapshot: async () => {
+            clearTimeout(snapshotTimer);
+            snapshotTimer = null;
+            const { highWaterMark, count, idSum, hashSum } = collection.state;
+            const meta = { provider: provider.name, model: provider.model, highWaterMark, count, idSum, hashSum };
+            await saveIndex(collection.faiss, snapshotPath, meta);
+            await fs.writeFile(`${keywordSnapshotPath}.tmp`, JSON.stringify({ meta, index: collection.keywords }));
+            await fs.rename(`${keywordSnapshotPath}.tmp`, keywordSnapshotPath);
+            console.log(`Saved FAISS snapshot of ${name} with ${count} vectors to ${snapshotPath}.`);
+        },
+
+        // Debounced so a bulk load writes one snapshot rather than one per chunk
+        scheduleSnapshot: () => {
+            if (snapshotTimer) return;
+            snapshotTimer = setTimeout(() => {
+                collection.saveSnapshot().catch((err) => console.error('Error saving FAISS snapshot:', err));
+            }, 2000);
+            snapshotTimer.unref();
+        },
+
+        cancelSnapshot: () => {
+            clearTimeout(snapshotTimer);
+            snapshotTimer = null;
+        },
+
+        addToIndexes: (vector, docId, content) => {
+            const { state } = collection;
+            // a docId that is already indexed (eg a chunk re-embedded with the
+            // same text) only gets its vector replaced; it is counted once
+            const added = !collection.faiss.has(docId);
+            collection.faiss.add(vector, docId);
+            collection.keywords.add(docId, content);
+            state.highWaterMark = Math.max(state.highWaterMark, docId);
+            if (added) {
+                state.count++;
+                state.idSum += docId;
+                state.hashSum = (state.hashSum + hashChecksum(hashContent(content))) >>> 0;
+            }
+            if (state.status === 'ready') collection.scheduleSnapshot();
+        },
+
+        /**
+         * Searches FAISS; for a quantized index the candidates are re-ranked by
+         * their exact cosine similarity to the query, computed from SQLite.
+         * @param {number[]} queryVector - The query embedding.
+         * @param {number} k - The number of results.
+         * @param {object} [options] - FAISS search options (exact, efSearch, filter), and
+         *   rescore: false to return the index's approximate ranking.
+         * @returns {{docId: number, score: number}[]} Results, most similar first.
+         */
+        searchVectors: async (queryVector, k, { rescore = true, ...options } = {}) => {
+            const { faiss } = collection;
+            if (faiss.quantization === 'none' || !rescore || !indexOptions.rescore) return faiss.search(queryVector, k, options);
+            const candidates = faiss.search(queryVector, k * indexOptions.rescore, options);
+            const ids = candidates.map((candidate) => candidate.docId);
+            const rescored = [];
+            for (let i = 0; i < ids.length; i += LOOKUP_BATCH) {
+                const batch = ids.slice(i, i + LOOKUP_BATCH);
+                const rows = await dbAll(
+                    `SELECT id, vector, dimension FROM documents WHERE id IN (${batch.map(() => '?').join(',')})`,
+                    batch
+                );
+                for (const row of rows) {
+                    rescored.push({ docId: row.id, score: cosine(queryVector, decodeVector(row.vector, row.dimension)) });
+                }
+            }
+            return rescored.sort((a, b) => b.score - a.score).slice(0, k);
+        },
+
+        // Empties FAISS and the keyword index, eg before they are rebuilt
+        clearIndexes: () => {
+            collection.faiss = createIndex(indexOptions);
+            collection.keywords = createKeywordIndex();
+            Object.assign(collection.state, { highWaterMark: 0, count: 0, idSum: 0, hashSum: 0 });
+        },
+
+        // `content` is the text the document was indexed with
+        removeFromIndexes: (docId, content) => {
+            const { state } = collection;
+            if (!collection.faiss.remove(docId)) return;
+            collection.keywords.remove(docId, content);
+            state.count--;
+            state.idSum -= docId;
+            state.hashSum = (state.hashSum - hashChecksum(hashContent(content))) >>> 0;
+            if (state.status === 'ready') collection.scheduleSnapshot();
+        },
+
+        // sync FAISS
+        // Only vectors produced by the collection's embedding provider are
+        // loaded, since vectors from another model live in a different space.
+        // With a valid snapshot only rows added after its high-water mark are replayed.
+        synchronize: async () => {
+            const { state } = collection;
+            try {
+                const fromSnapshot = await loadSnapshot().catch((err) => {
+                    console.error(`Error reading FAISS snapshot of ${name}; rebuilding:`, err.message);
+                    return false;
+                });
+                if (!fromSnapshot) collection.clearIndexes();
+                const rows = await dbAll(
+                    `SELECT id, vector, dimension, content FROM documents
+                     WHERE collection = ? AND provider = ? AND model = ? AND id > ? ORDER BY id`,
+                    [name, provider.name, provider.model, state.highWaterMark]
+                );
+                rows.forEach((row) => {
+                    const vector = decodeVector(row.vector, row.dimension); // Convert blob back to vector
+                    collection.addToIndexes(vector, row.id, row.content); // Add to FAISS and keyword index
+                });
+                console.log(`Synchronized FAISS of ${name} with ${rows.length} new documents from SQLite (${collection.faiss.size} in total).`);
+
+                const { count } = await dbGet(`SELECT COUNT(*) as count FROM documents WHERE collection = ?`, [name]);
+                if (collection.faiss.size < count) {
+                    console.warn(`Skipped ${count - collection.faiss.size} documents of ${name} embedded by a different provider than ${provider.name} (${provider.model}).`);
+                }
+                if (!fromSnapshot || rows.length > 0) await collection.saveSnapshot();
+                state.status = 'ready';
+            } catch (err) {
+                console.error(`Error synchronizing FAISS of ${name} with SQLite:`, err);
+                Object.assign(state, { status: 'error', error: err.message });
+            }
+        },
+    };
+
+    // Rows of this collection under its provider with ids up to `highWaterMark`
+    const providerChecksum = async (highWaterMark) => {
+        const rows = await dbAll(
+            `SELECT id, content_hash FROM documents WHERE collection = ? AND provider = ? AND model = ? AND id <= ?`,
+            [name, provider.name, provider.model, highWaterMark]
+        );
+        return {
+            count: rows.length,
+            idSum: rows.reduce((sum, row) => sum + row.id, 0),
+            hashSum: rows.reduce((sum, row) => (sum + hashChecksum(row.content_hash)) >>> 0, 0),
+        };
+    };
+
+    // Loads the snapshot if it still matches SQLite and the configured index;
+    // returns false when FAISS has to be rebuilt from scratch
+    const loadSnapshot = async () => {
+        const loaded = await loadIndex(snapshotPath, indexOptions);
+        if (!loaded) {
+            console.log(`No FAISS snapshot found for ${name}.`);
+            return false;
+        }
+        const { index, meta } = loaded;
+        const quantization = indexOptions.quantization || 'none';
+        if (index.type !== indexOptions.type || index.quantization !== quantization || meta.provider !== provider.name || meta.model !== provider.model) {
+            console.log(`FAISS snapshot of ${name} was built with a different index type, quantization or embedding provider; rebuilding.`);
+            return false;
+        }
+        const checksum = await providerChecksum(meta.highWaterMark);
+        if (checksum.count !== meta.count || checksum.idSum !== meta.idSum || checksum.hashSum !== meta.hashSum || index.size !== meta.count) {
+            console.log(`FAISS snapshot of ${name} does not match SQLite; rebuilding.`);
+            return false;
+        }
+        const keywords = await fs.readFile(keywordSnapshotPath, 'utf-8')
+            .then((text) => JSON.parse(text))
+            .catch(() => null);
+        if (!keywords || JSON.stringify(keywords.meta) !== JSON.stringify(meta)) {
+            console.log(`Keyword index snapshot of ${name} is missing or stale; rebuilding.`);
+            return false;
+        }
+        collection.faiss = index;
+        collection.keywords = restoreKeywordIndex(keywords.index);
+        Object.assign(collection.state, { highWaterMark: meta.highWaterMark, count: meta.count, idSum: meta.idSum, hashSum: meta.hashSum });
+        console.log(`Loaded FAISS snapshot of ${name} with ${index.size} vectors.`);
+        return true;
+    };
+
+    return collection;
+}
+
+/**
+ * Loads every collection from SQLite, creating the default one on first run,
+ * and synchronizes their indexes one after another.
+ */
+async function loadCollections() {
+    await dbRun(
+        `INSERT OR IGNORE INTO collections (name, settings, created_at) VALUES (?, ?, ?)`,
+        [DEFAULT_COLLECTION, '{}', new Date().toISOString()]
+    );
+    const rows = await dbAll(`SELECT name, settings FROM collections ORDER BY created_at, name`);
+    for (const row of rows) {
+        try {
+            collections.set(row.name, createCollection(row.name, resolveSettings(JSON.parse(row.settings || '{}'))));
+        } catch (err) {
+            console.error(`Error loading collection ${row.name}:`, err);
+        }
+    }
+    for (const collection of collections.values()) await collection.synchronize();
+}
+
+/**
+ * Returns a collection by name.
+ * @param {string} name - The collection name.
+ * @returns {object|null} The collection, or null if there is none.
+ */
+function getCollection(name) {
+    return collections.get(name) || null;
+}
+
+/**
+ * Returns every collection, default first.
+ * @returns {object[]} The collections.
+ */
+function listCollections() {
+    return [...collections.values()];
+}
+
+/**
+ * Creates and stores a new, empty collection.
+ * @param {string} name - Letters, digits, "_" and "-", up to 64 characters.
+ * @param {object} [settings] - { embedding: {provider, model, dimension}, chunking, index, storage, nearDuplicates }; gaps are filled from the environment.
+ * @returns {object} The collection.
+ * @throws {Error} With status 400 for invalid settings and 409 if the name is taken.
+ */
+async function addCollection(name, settings = {}) {
+    if (typeof name !== 'string' || !COLLECTION_NAME.test(name)) {
+        throw collectionError('Collection names are 1-64 letters, digits, "_" or "-", starting with a letter or digit', 400);
+    }
+    if (collections.has(name)) throw collectionError(`Collection ${name} already exists.`, 409);
+    const index = settings.index || {};
+    if (index.type && !INDEX_TYPES.includes(index.type)) {
+        throw collectionError(`Index type must be one of ${INDEX_TYPES.join(', ')}`, 400);
+    }
+    for (const option of ['M', 'efConstruction', 'efSearch', 'exactThreshold', 'pqSubvectors', 'pqTrainSize', 'compactMinimum']) {
+        if (index[option] !== undefined && !(Number.isInteger(index[option]) && index[option] > 0)) {
+            throw collectionError(`Index option ${option} must be a positive integer`, 400);
+        }
+    }
+    if (index.quantization && !QUANTIZATIONS.includes(index.quantization)) {
+        throw collectionError(`Index quantization must be one of ${QUANTIZATIONS.join(', ')}`, 400);
+    }
+    if (index.compactThreshold !== undefined && !(typeof index.compactThreshold === 'number' && index.compactThreshold > 0 && index.compactThreshold <= 1)) {
+        throw collectionError('Index option compactThreshold must be a number above 0 and at most 1', 400);
+    }
+    if (index.rescore !== undefined && !(Number.isInteger(index.rescore) && index.rescore >= 0)) {
+        throw collectionError('Index option rescore must be a non-negative integer', 400);
+    }
+    if (settings.storage && !VECTOR_FORMATS.includes(settings.storage)) {
+        throw collectionError(`Vector storage must be one of ${VECTOR_FORMATS.join(', ')}`, 400);
+    }
+    const { threshold, action } = settings.nearDuplicates || {};
+    if (threshold !== undefined && threshold !== null && !(typeof threshold === 'number' && threshold > 0 && threshold <= 1)) {
+        throw collectionError('The near-duplicate threshold must be a cosine similarity above 0 and at most 1', 400);
+    }
+    if (action !== undefined && !NEAR_DUPLICATE_ACTIONS.includes(action)) {
+        throw collectionError(`The near-duplicate action must be one of ${NEAR_DUPLICATE_ACTIONS.join(', ')}`, 400);
+    }
+    let collection;
+    try {
+        collection = createCollection(name, resolveSettings(settings));
+    } catch (err) {
+        throw collectionError(err.message, 400);
+    }
+    const { dimension } = collection.provider;
+    if (index.pqSubvectors && dimension && dimension % index.pqSubvectors !== 0) {
+        throw collectionError(`PQ subvectors ${index.pqSubvectors} do not divide the embedding dimension ${dimension}`, 400);
+    }
+    await dbRun(
+        `INSERT INTO collections (name, settings, created_at) VALUES (?, ?, ?)`,
+        [name, JSON.stringify(collection.settings), new Date().toISOString()]
+    );
+    collections.set(name, collection);
+    await collection.synchronize();
+    return collection;
+}
+
+/**
+ * Deletes a collection with all its chunks, sources, sessions, jobs,
+ * evaluation runs and snapshot files. A job still running on it is stopped.
+ * @param {string} name - The collection name.
+ * @returns {number} The number of chunks deleted.
+ * @throws {Error} With status 404 if there is no such collection, 400 for the default one.
+ */
+async function dropCollection(name) {
+    const collection = collections.get(name);
+    if (!collection) throw collectionError(`Collection ${name} not found.`, 404);
+    if (name === DEFAULT_COLLECTION) throw collectionError('The default collection cannot be dropped.', 400);
+    collection.cancelSnapshot();
+    collections.delete(name);
+    await deleteCollectionJobs(name);
+    const { changes } = await dbRun(`DELETE FROM documents WHERE collection = ?`, [name]);
+    await dbRun(`DELETE FROM sources WHERE collection = ?`, [name]);
+    await dbRun(`DELETE FROM staged_vectors WHERE collection = ?`, [name]);
+    await deleteCollectionSessions(name);
+    await dbRun(`DELETE FROM evaluation_runs WHERE collection = ?`, [name]);
+    await dbRun(`DELETE FROM collections WHERE name = ?`, [name]);
+    for (const file of collection.snapshotFiles) {
+        await fs.unlink(file).catch((err) => {
+            if (err.code !== 'ENOENT') throw err;
+        });
+    }
+    return changes;
+}
+
+/**
+ * Moves a collection to another embedding model, once its documents rows
+ * carry vectors from that model (see migrate.js): stores the new embedding
+ * settings and swaps in a collection whose indexes are rebuilt from them.
+ * @param {string} name - The collection name.
+ * @param {object} embedding - { provider, model, dimension }.
+ * @returns {object} The new collection.
+ */
+async function switchEmbedding(name, embedding) {
+    const previous = collections.get(name);
+    if (!previous) throw collectionError(`Collection ${name} not found.`, 404);
+    const row = await dbGet(`SELECT settings FROM collections WHERE name = ?`, [name]);
+    const stored = JSON.parse(row.settings || '{}');
+    const collection = createCollection(name, resolveSettings({ ...stored, embedding }));
+    // from now on even the default collection keeps this model rather than following EMBEDDING_*
+    await dbRun(`UPDATE collections SET settings = ? WHERE name = ?`, [JSON.stringify({ ...stored, embedding: collection.settings.embedding }), name]);
+    previous.cancelSnapshot();
+    collections.set(name, collection);
+    await collection.synchronize();
+    return collection;
+}
+
+// The last recall measurement of each collection, reused until the index
+// changes, since measuring it reads and scans every vector
+const recallCache = new WeakMap();
+
+/**
+ * Reports how much memory and disk a collection's vectors take and how well
+ * its index finds the true nearest neighbours. Recall is measured with stored
+ * vectors as queries, against an exact scan of the vectors in SQLite, and is
+ * reused until the collection's next write.
+ * @param {object} collection - The collection.
+ * @param {object} [options]
+ * @param {number} [options.sample] - Number of query vectors; 0 skips the recall measurement.
+ * @param {number} [options.k] - The k of recall@k.
+ * @returns {object} { quantization, memory, storage, recall }.
+ */
+async function indexStats(collection, { sample = 20, k = 10 } = {}) {
+    const { faiss, provider, settings } = collection;
+    const storage = await dbGet(
+        `SELECT COUNT(*) AS vectors, COALESCE(SUM(length(vector)), 0) AS bytes, COALESCE(SUM(dimension * 4), 0) AS float32
+         FROM documents WHERE collection = ?`,
+        [collection.name]
+    );
+    const stats = {
+        quantization: { index: faiss.quantization, storage: settings.storage, rescore: settings.index.rescore },
+        memory: faiss.memoryUsage(),
+        storage: { format: settings.storage, ...storage },
+        recall: null,
+    };
+    if (sample === 0 || faiss.size === 0) return stats;
+    const { count, idSum, hashSum } = collection.state;
+    const version = JSON.stringify([count, idSum, hashSum, sample, k]);
+    const cached = recallCache.get(collection);
+    if (cached && cached.faiss === faiss && cached.version === version) {
+        stats.recall = cached.recall;
+        return stats;
+    }
+
+    const rows = await dbAll(
+        `SELECT id, vector, dimension FROM documents WHERE collection = ? AND provider = ? AND model = ?`,
+        [collection.name, provider.name, provider.model]
+    );
+    const exact = createIndex({ type: 'flat' });
+    const vectors = new Map();
+    for (const row of rows) {
+        vectors.set(row.id, decodeVector(row.vector, row.dimension));
+        exact.add(vectors.get(row.id), row.id);
+    }
+    // a random sample of the indexed chunks as queries
+    const ids = [...vectors.keys()];
+    for (let i = ids.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+    const queries = ids.slice(0, sample);
+    const found = { index: 0, rescored: 0 };
+    const time = { index: 0, rescored: 0 };
+    let relevant = 0;
+    for (const id of queries) {
+        const query = vectors.get(id);
+        const truth = new Set(exact.search(query, k).map((result) => result.docId));
+        relevant += truth.size;
+        for (const [key, rescore] of [['index', false], ['rescored', true]]) {
+            const start = performance.now();
+            const results = await collection.searchVectors(query, k, { rescore });
+            time[key] += performance.now() - start;
+            found[key] += results.filter((result) => truth.has(result.docId)).length;
+        }
+    }
+    const rescores = faiss.quantization !== 'none' && settings.index.rescore > 0;
+    stats.recall = {
+        k,
+        queries: queries.length,
+        index: found.index / relevant,
+        rescored: rescores ? found.rescored / relevant : null,
+        indexMs: time.index / queries.length,
+        rescoredMs: rescores ? time.rescored / queries.length : null,
+        measuredAt: new Date().toISOString(),
+    };
+    recallCache.set(collection, { faiss, version, recall: stats.recall });
+    return stats;
+}
+
+export { DEFAULT_COLLECTION, loadCollections, getCollection, listCollections, addCollection, dropCollection, switchEmbedding, indexStats };
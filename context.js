@@ -0,0 +1,103 @@
+// Context assembly: fits ranked chunks into the prompt's token budget.
+// Passages are taken best first. A chunk whose text is already inside a
+// higher-ranked chunk of the same source is dropped, and the words a chunk
+// shares with the edge of a higher-ranked neighbour (chunk overlap) are cut.
+// When the budget runs out the next passage is trimmed to fit if enough room
+// is left, and everything after it is left out. What was dropped or
+// trimmed is reported so callers can show it.
+
+import { countTokens, truncateTokens } from './chunking.js';
+
+// Shorter shared runs of words are treated as coincidence rather than chunk overlap
+const MIN_OVERLAP_WORDS = 5;
+// A passage is only trimmed to fit if at least this many tokens of it remain
+const MIN_TRIMMED_TOKENS = 50;
+// The "[n] " label and line break around each passage
+const PASSAGE_OVERHEAD_TOKENS = 5;
+
+const sourceOf = (passage) => passage.sourcePath || passage.sourceName || null;
+const wordsOf = (text) => text.split(/\s+/).filter(Boolean);
+
+// The longest run of at least MIN_OVERLAP_WORDS words ending `a` and starting `b`
+const edgeOverlap = (a, b) => {
+    for (let n = Math.min(a.length, b.length); n >= MIN_OVERLAP_WORDS; n--) {
+        let same = true;
+        for (let i = 0; i < n && same; i++) same = a[a.length - n + i] === b[i];
+        if (same) return n;
+    }
+    return 0;
+};
+
+// Removes from a passage's words what a higher-ranked passage of the same
+// source already covers; returns null when nothing new is left
+const withoutOverlap = (words, kept) => {
+    const joined = words.join(' ');
+    let remaining = words;
+    for (const other of kept) {
+        if (` ${other.join(' ')} `.includes(` ${joined} `)) return null;
+        const leading = edgeOverlap(other, remaining);
+        if (leading > 0) remaining = remaining.slice(leading);
+        const trailing = edgeOverlap(remaining, other);
+        if (trailing > 0) remaining = remaining.slice(0, remaining.length - trailing);
+        if (remaining.length === 0) return null;
+    }
+    return remaining;
+};
+
+/**
+ * Packs ranked passages into a token budget.
+ * @param {{docId: number, content: string, sourceName?: string, sourcePath?: string}[]} passages - Best first.
+ * @param {number} budget - Tokens available for the passages.
+ * @returns {{passages: object[], omitted: {docId: number, reason: string}[], trimmed: {docId: number, reason: string}[], budget: number, used: number}}
+ *   The passages to use, in order, with their content shortened where needed;
+ *   the docIds left out ("duplicate" or "budget") and those shortened
+ *   ("overlap" or "budget").
+ */
+function packContext(passages, budget) {
+    const included = [];
+    const omitted = [];
+    const trimmed = [];
+    const keptWords = new Map(); // source -> word lists of its included passages
+    let used = 0;
+
+    for (const passage of passages) {
+        if (used + PASSAGE_OVERHEAD_TOKENS + MIN_TRIMMED_TOKENS > budget && used > 0) {
+            omitted.push({ docId: passage.docId, reason: 'budget' });
+            continue;
+        }
+        let content = passage.content;
+        const source = sourceOf(passage);
+        if (source) {
+            const words = wordsOf(content);
+            const remaining = withoutOverlap(words, keptWords.get(source) || []);
+            if (!remaining) {
+                omitted.push({ docId: passage.docId, reason: 'duplicate' });
+                continue;
+            }
+            if (remaining.length < words.length) {
+                content = remaining.join(' ');
+                trimmed.push({ docId: passage.docId, reason: 'overlap' });
+            }
+        }
+        let tokens = countTokens(content) + PASSAGE_OVERHEAD_TOKENS;
+        if (used + tokens > budget) {
+            const room = budget - used - PASSAGE_OVERHEAD_TOKENS;
+            if (room < MIN_TRIMMED_TOKENS) {
+                omitted.push({ docId: passage.docId, reason: 'budget' });
+                continue;
+            }
+            content = truncateTokens(content, room);
+            tokens = countTokens(content) + PASSAGE_OVERHEAD_TOKENS;
+            trimmed.push({ docId: passage.docId, reason: 'budget' });
+        }
+        if (source) {
+            if (!keptWords.has(source)) keptWords.set(source, []);
+            keptWords.get(source).push(wordsOf(content));
+        }
+        included.push({ ...passage, content });
+        used += tokens;
+    }
+    return { passages: included, omitted, trimmed, budget, used };
+}
+
+export { packContext };
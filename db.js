@@ -0,0 +1,414 @@
+// SQLite storage shared by the server and the collections: the connection,
+// promise wrappers around the sqlite3 callback API and the schema migrations.
+
+import sqlite3 from 'sqlite3'; // SQLite for storing metadata and documents
+import { createHash } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Initialize SQLite database
+const db = new sqlite3.Database('./vectors.db', (err) => {
+    if (err) {
+        console.error('Error opening SQLite database:', err);
+    } else {
+        console.log('SQLite database connected.');
+    }
+});
+
+// Every request shares this one connection, so a statement issued while a
+// transaction is open would become part of it (and be rolled back with it).
+// Transactions therefore go through transaction(), which runs them one at a
+// time, and the wrappers below hold back statements from outside the open
+// transaction until it ends.
+const transactionScope = new AsyncLocalStorage();
+let openTransaction = null; // settles when the open transaction ends
+let transactionQueue = Promise.resolve();
+
+const outsideTransaction = async () => {
+    while (openTransaction && !transactionScope.getStore()) await openTransaction;
+};
+
+// Promise wrappers around the sqlite3 callback API
+const dbRun = async (sql, params = []) => {
+    await outsideTransaction();
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) return reject(err);
+            resolve(this); // carries lastID and changes
+        });
+    });
+};
+const dbGet = async (sql, params = []) => {
+    await outsideTransaction();
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+};
+const dbAll = async (sql, params = []) => {
+    await outsideTransaction();
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+};
+
+/**
+ * Runs fn in a transaction, committed when it resolves and rolled back when
+ * it throws. Transactions run one after another; a call from inside one joins
+ * it. fn should only wait on the database, since every other statement waits
+ * for it.
+ * @param {function(): Promise<*>} fn - Issues the transaction's statements through dbRun, dbGet and dbAll.
+ * @returns {Promise<*>} What fn resolves to.
+ */
+function transaction(fn) {
+    if (transactionScope.getStore()) return fn();
+    const result = transactionQueue.then(() => {
+        const run = transactionScope.run(true, async () => {
+            await dbRun('BEGIN');
+            try {
+                const value = await fn();
+                await dbRun('COMMIT');
+                return value;
+            } catch (err) {
+                await dbRun('ROLLBACK');
+                throw err;
+            }
+        });
+        openTransaction = run.catch(() => {}).then(() => {
+            openTransaction = null;
+        });
+        return run;
+    });
+    transactionQueue = result.catch(() => {});
+    return result;
+}
+
+const hashContent = (content) => createHash('sha256').update(content).digest('hex');
+// 32-bit number taken from a content hash, summed into the snapshot checksum
+const hashChecksum = (hash) => parseInt(hash.slice(0, 8), 16);
+
+// Rebuilds the documents table so content is unique per collection rather than
+// across the whole table; SQLite cannot drop a UNIQUE constraint in place.
+// Existing rows go to the default collection and keep their ids.
+const addCollectionColumn = async (columns) => {
+    const { seq = 0 } = (await dbGet(`SELECT seq FROM sqlite_sequence WHERE name = 'documents'`)) || {};
+    const list = columns.join(', ');
+    await transaction(async () => {
+        await dbRun(`
+            CREATE TABLE documents_rebuilt (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                collection TEXT NOT NULL DEFAULT 'default',
+                content TEXT,
+                vector BLOB,
+                provider TEXT,
+                model TEXT,
+                dimension INTEGER,
+                source_name TEXT,
+                source_path TEXT,
+                chunk_index INTEGER,
+                char_start INTEGER,
+                char_end INTEGER,
+                ingested_at TEXT,
+                content_hash TEXT,
+                metadata TEXT,
+                chunking TEXT,
+                UNIQUE (collection, content)
+            )
+        `);
+        await dbRun(`INSERT INTO documents_rebuilt (${list}) SELECT ${list} FROM documents`);
+        await dbRun(`DROP TABLE documents`);
+        await dbRun(`ALTER TABLE documents_rebuilt RENAME TO documents`);
+        // ids of deleted rows stay retired
+        await dbRun(`UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = 'documents'`, [seq]);
+    });
+    console.log('Added collection column to documents table.');
+};
+
+// Rebuilds the sources table with (collection, source_path) as its key, so the
+// same file can be synced into several collections; older databases keyed it
+// by path alone
+const rekeySources = async () => {
+    await transaction(async () => {
+        await dbRun(`
+            CREATE TABLE sources_rebuilt (
+                collection TEXT NOT NULL DEFAULT 'default',
+                source_path TEXT NOT NULL,
+                content_hash TEXT,
+                mtime_ms REAL,
+                size INTEGER,
+                chunk_count INTEGER,
+                synced_at TEXT,
+                chunking TEXT,
+                PRIMARY KEY (collection, source_path)
+            )
+        `);
+        const list = 'collection, source_path, content_hash, mtime_ms, size, chunk_count, synced_at, chunking';
+        await dbRun(`INSERT INTO sources_rebuilt (${list}) SELECT ${list} FROM sources`);
+        await dbRun(`DROP TABLE sources`);
+        await dbRun(`ALTER TABLE sources_rebuilt RENAME TO sources`);
+    });
+    console.log('Keyed sources table by collection and path.');
+};
+
+// Create the documents table and add any columns older databases are missing
+const initializeDatabase = async () => {
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS documents (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            content TEXT UNIQUE,
+            vector BLOB
+        )
+    `);
+    const columns = await dbAll(`PRAGMA table_info(documents)`);
+    const existing = new Set(columns.map((column) => column.name));
+    if (!existing.has('provider')) {
+        // which embedding provider, model and dimension produced each vector
+        await dbRun(`ALTER TABLE documents ADD COLUMN provider TEXT`);
+        await dbRun(`ALTER TABLE documents ADD COLUMN model TEXT`);
+        await dbRun(`ALTER TABLE documents ADD COLUMN dimension INTEGER`);
+        // everything stored before providers existed came from ada-002
+        await dbRun(`
+            UPDATE documents
+            SET provider = 'openai', model = 'text-embedding-ada-002', dimension = length(vector) / 4
+            WHERE provider IS NULL
+        `);
+        console.log('Added embedding provider columns to documents table.');
+    }
+    // chunk provenance; metadata holds user-supplied JSON
+    const provenanceColumns = {
+        source_name: 'TEXT',
+        source_path: 'TEXT',
+        chunk_index: 'INTEGER',
+        char_start: 'INTEGER',
+        char_end: 'INTEGER',
+        ingested_at: 'TEXT',
+        content_hash: 'TEXT',
+        metadata: 'TEXT',
+        chunking: 'TEXT', // JSON strategy, size and overlap the chunk was cut with
+    };
+    for (const [column, type] of Object.entries(provenanceColumns)) {
+        if (!existing.has(column)) {
+            await dbRun(`ALTER TABLE documents ADD COLUMN ${column} ${type}`);
+            console.log(`Added ${column} column to documents table.`);
+        }
+    }
+    if (!existing.has('collection')) {
+        await addCollectionColumn(['id', 'content', 'vector', 'provider', 'model', 'dimension', ...Object.keys(provenanceColumns)]);
+    }
+    if (!existing.has('near_duplicate_of')) {
+        // the stored chunk a new one was found to nearly repeat, when flagged at ingest
+        await dbRun(`ALTER TABLE documents ADD COLUMN near_duplicate_of INTEGER`);
+        console.log('Added near_duplicate_of column to documents table.');
+    }
+    const unhashed = await dbAll(`SELECT id, content FROM documents WHERE content_hash IS NULL`);
+    for (const row of unhashed) {
+        await dbRun(`UPDATE documents SET content_hash = ? WHERE id = ?`, [hashContent(row.content), row.id]);
+    }
+    await dbRun(`CREATE INDEX IF NOT EXISTS documents_source_name ON documents (source_name)`);
+    await dbRun(`CREATE INDEX IF NOT EXISTS documents_source_path ON documents (source_path)`);
+    // files ingested from the documents folder, so /load-documents can tell what changed
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS sources (
+            collection TEXT NOT NULL DEFAULT 'default',
+            source_path TEXT NOT NULL,
+            content_hash TEXT,
+            mtime_ms REAL,
+            size INTEGER,
+            chunk_count INTEGER,
+            synced_at TEXT,
+            chunking TEXT,
+            PRIMARY KEY (collection, source_path)
+        )
+    `);
+    const sourceColumns = await dbAll(`PRAGMA table_info(sources)`);
+    const sourceColumnNames = new Set(sourceColumns.map((column) => column.name));
+    if (!sourceColumnNames.has('chunking')) {
+        await dbRun(`ALTER TABLE sources ADD COLUMN chunking TEXT`);
+    }
+    if (!sourceColumnNames.has('collection')) {
+        await dbRun(`ALTER TABLE sources ADD COLUMN collection TEXT NOT NULL DEFAULT 'default'`);
+    }
+    if (!sourceColumns.some((column) => column.name === 'collection' && column.pk > 0)) {
+        await rekeySources();
+    }
+    // named collections; settings is JSON with their embedding, chunking and index options
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS collections (
+            name TEXT PRIMARY KEY,
+            settings TEXT,
+            created_at TEXT
+        )
+    `);
+    // conversations: each turn keeps the question as asked, the standalone
+    // query it was rewritten to, the answer and its sources
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            collection TEXT NOT NULL,
+            title TEXT,
+            created_at TEXT,
+            updated_at TEXT
+        )
+    `);
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS session_turns (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            question TEXT,
+            standalone_query TEXT,
+            answer TEXT,
+            citations TEXT,
+            sources TEXT,
+            created_at TEXT
+        )
+    `);
+    await dbRun(`CREATE INDEX IF NOT EXISTS session_turns_session ON session_turns (session_id, id)`);
+    const sessionColumns = new Set((await dbAll(`PRAGMA table_info(sessions)`)).map((column) => column.name));
+    if (!sessionColumns.has('api_key_id')) {
+        // the key that started the session (see auth.js); only it may use the session
+        await dbRun(`ALTER TABLE sessions ADD COLUMN api_key_id TEXT`);
+    }
+    // background ingestion (see jobs.js): a job and the files it works through,
+    // kept so progress survives a restart and the job can be resumed
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS jobs (
+            id TEXT PRIMARY KEY,
+            type TEXT NOT NULL,
+            collection TEXT NOT NULL,
+            status TEXT NOT NULL,
+            params TEXT,
+            error TEXT,
+            created_at TEXT,
+            updated_at TEXT,
+            finished_at TEXT
+        )
+    `);
+    const jobColumns = new Set((await dbAll(`PRAGMA table_info(jobs)`)).map((column) => column.name));
+    if (!jobColumns.has('api_key_id')) {
+        // the key whose quotas the job's embedding calls count against (see auth.js)
+        await dbRun(`ALTER TABLE jobs ADD COLUMN api_key_id TEXT`);
+    }
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS job_files (
+            job_id TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            file TEXT NOT NULL,
+            action TEXT NOT NULL,
+            content BLOB,
+            status TEXT NOT NULL,
+            chunks_total INTEGER,
+            chunks_done INTEGER NOT NULL DEFAULT 0,
+            result TEXT,
+            error TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            updated_at TEXT,
+            PRIMARY KEY (job_id, position)
+        )
+    `);
+    // vectors by content hash and model (see cache.js)
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS embedding_cache (
+            provider TEXT NOT NULL,
+            model TEXT NOT NULL,
+            content_hash TEXT NOT NULL,
+            dimension INTEGER,
+            vector BLOB,
+            created_at TEXT,
+            used_at TEXT,
+            PRIMARY KEY (provider, model, content_hash)
+        )
+    `);
+    // vectors from the model a collection is migrating to (see migrate.js),
+    // kept apart until every chunk has one
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS staged_vectors (
+            document_id INTEGER PRIMARY KEY,
+            collection TEXT NOT NULL,
+            provider TEXT NOT NULL,
+            model TEXT NOT NULL,
+            dimension INTEGER,
+            vector BLOB
+        )
+    `);
+    await dbRun(`CREATE INDEX IF NOT EXISTS staged_vectors_collection ON staged_vectors (collection)`);
+    const stagedColumns = new Set((await dbAll(`PRAGMA table_info(staged_vectors)`)).map((column) => column.name));
+    if (!stagedColumns.has('content_hash')) {
+        // the content the vector was embedded from; a vector staged before its
+        // document was edited no longer matches and is embedded again
+        await dbRun(`ALTER TABLE staged_vectors ADD COLUMN content_hash TEXT`);
+    }
+    // retrieval evaluation runs with their settings and per-question scores (see evaluation.js)
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS evaluation_runs (
+            id TEXT PRIMARY KEY,
+            name TEXT,
+            collection TEXT NOT NULL,
+            settings TEXT,
+            metrics TEXT,
+            questions TEXT,
+            created_at TEXT
+        )
+    `);
+    // API keys (see auth.js), stored as SHA-256 hashes; the prefix identifies a
+    // key in listings. Limits left NULL fall back to the server defaults.
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            prefix TEXT,
+            role TEXT NOT NULL,
+            rate_limit INTEGER,
+            embedding_quota INTEGER,
+            generation_quota INTEGER,
+            created_at TEXT,
+            last_used_at TEXT,
+            revoked_at TEXT
+        )
+    `);
+    // tokens each key spent on paid embedding and generation calls, per month
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS api_key_usage (
+            key_id TEXT NOT NULL,
+            period TEXT NOT NULL,
+            embedding_tokens INTEGER NOT NULL DEFAULT 0,
+            generation_tokens INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (key_id, period)
+        )
+    `);
+    // who called what, one row per request; the triggers keep it append-only
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            at TEXT NOT NULL,
+            key_id TEXT,
+            key_name TEXT,
+            role TEXT,
+            method TEXT,
+            route TEXT,
+            url TEXT,
+            collection TEXT,
+            status INTEGER,
+            details TEXT,
+            ip TEXT
+        )
+    `);
+    await dbRun(`CREATE INDEX IF NOT EXISTS audit_log_key ON audit_log (key_id, id)`);
+    await dbRun(`CREATE INDEX IF NOT EXISTS audit_log_collection ON audit_log (collection, id)`);
+    for (const action of ['UPDATE', 'DELETE']) {
+        await dbRun(`
+            CREATE TRIGGER IF NOT EXISTS audit_log_no_${action.toLowerCase()} BEFORE ${action} ON audit_log
+            BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+        `);
+    }
+    // user-defined answer prompts, and edits of the built-in ones (see templates.js)
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS prompt_templates (
+            name TEXT PRIMARY KEY,
+            description TEXT,
+            system TEXT,
+            template TEXT NOT NULL,
+            updated_at TEXT
+        )
+    `);
+};
+
+export { db, dbRun, dbGet, dbAll, transaction, hashContent, hashChecksum, initializeDatabase };
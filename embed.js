@@ -10,13 +10,27 @@ import { parse } from "node-html-parser";
 import natural from "natural";
 
 import { OpenAI } from "openai";
+import { chunkText, countTokens } from "./chunking.js";
+import { packContext } from "./context.js";
+import { DEFAULT_TEMPLATE, renderTemplate } from "./templates.js";
+import { cachedEmbeddings, cacheEmbeddings } from "./cache.js";
+import { checkQuota, recordUsage } from "./auth.js";
 
 dotenv.config();
 // get local directory path
 
 // get OPENAI_API_KEY from GitHub secrets
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+
+// the OpenAI client refuses to construct without a key, so only build it when
+// a backend actually needs it; this lets the local providers run offline
+let openaiClient = null;
+function getOpenAI() {
+    if (!openaiClient) {
+        openaiClient = new OpenAI({ apiKey: OPENAI_API_KEY });
+    }
+    return openaiClient;
+}
 
 // check if url has https:// if it does strip it out for domain
 
@@ -70,7 +84,7 @@ async function getRelevantTokens(tokens) {
     let response;
     try {
         console.log("initiating openai api call");
-        response = await openai.completions.create({
+        response = await getOpenAI().completions.create({
             model: "gpt-3.5-turbo-instruct",
             prompt: prompt,
             max_tokens: 2000,
@@ -127,83 +141,636 @@ async function saveRelevantTokensToCsv(tokenizedContents, outputPath) {
 }
 
 /**
- * Takes a set of tokens as input.
- * Returns an array of embeddings.
- * @param {string[]} tokens - The set of tokens.
- * @returns {number[][]} The array of embeddings.
+ * Embedding provider backed by the OpenAI embeddings API.
+ * @param {object} options
+ * @param {string} [options.model] - The embedding model name.
+ * @returns {object} The embedding provider.
  */
-async function getEmbeddings(tokens) {
-    console.log("start getEmbeddings");
+function createOpenAIEmbeddingProvider({ model = "text-embedding-ada-002" } = {}) {
+    // dimensions of the models we know about; anything else is learned from
+    // the first response
+    const knownDimensions = {
+        "text-embedding-ada-002": 1536,
+        "text-embedding-3-small": 1536,
+        "text-embedding-3-large": 3072,
+    };
+    const provider = {
+        name: "openai",
+        model,
+        dimension: knownDimensions[model] || null,
+        maxTokens: 8191,
+        cacheable: true, // see cache.js
+        metered: true, // counts against API key quotas, see auth.js
+        async embed(texts) {
+            let response;
+            try {
+                console.log("initiating openai api call");
+                response = await getOpenAI().embeddings.create({
+                    model,
+                    input: texts,
+                    encoding_format: "float",
+                });
+            } catch (e) {
+                console.error("Error calling OpenAI API getEmbeddings:", e?.message);
+                // keep the HTTP status so rate limits and server errors can be retried
+                throw Object.assign(new Error("Error calling OpenAI API getEmbeddings"), { status: e?.status });
+            }
+            const vectors = response.data.map((item) => item.embedding);
+            if (!provider.dimension) provider.dimension = vectors[0].length;
+            return vectors;
+        },
+    };
+    return provider;
+}
 
-    let response;
+// 32-bit FNV-1a, used to hash terms into vector buckets
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Offline embedding provider: hashed, sublinear term frequencies over
+ * stemmed unigrams and bigrams. Stop words stand in for the IDF term, so a
+ * vector depends only on its own text and stays stable as the corpus grows.
+ * @param {object} options
+ * @param {number} [options.dimension] - The number of hash buckets.
+ * @returns {object} The embedding provider.
+ */
+function createLocalEmbeddingProvider({ dimension = 512 } = {}) {
+    const embedOne = (text) => {
+        const vector = new Array(dimension).fill(0);
+        const stems = natural.PorterStemmer.tokenizeAndStem(String(text));
+        const counts = new Map();
+        for (let i = 0; i < stems.length; i++) {
+            counts.set(stems[i], (counts.get(stems[i]) || 0) + 1);
+            if (i > 0) {
+                const bigram = `${stems[i - 1]} ${stems[i]}`;
+                counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+            }
+        }
+        for (const [term, count] of counts) {
+            const hash = fnv1a(term);
+            // the top bit picks the sign so collisions tend to cancel out
+            const sign = hash & 0x80000000 ? -1 : 1;
+            vector[hash % dimension] += sign * (1 + Math.log(count));
+        }
+        const norm = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+        return norm > 0 ? vector.map((val) => val / norm) : vector;
+    };
+    return {
+        name: "local",
+        model: `hashed-tf-${dimension}`,
+        dimension,
+        async embed(texts) {
+            return texts.map(embedOne);
+        },
+    };
+}
+
+const embeddingProviders = {
+    openai: (options) => createOpenAIEmbeddingProvider(options),
+    local: (options) => createLocalEmbeddingProvider(options),
+};
+
+/**
+ * Builds an embedding provider, by default the one named by EMBEDDING_PROVIDER
+ * (default "openai"). EMBEDDING_MODEL selects the OpenAI model and
+ * LOCAL_EMBEDDING_DIM the size of the local vectors.
+ * @param {string} [name] - "openai" or "local".
+ * @param {object} [options] - The model and dimension, overriding the environment.
+ * @returns {object} The embedding provider.
+ */
+function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || "openai", options = {}) {
+    const factory = embeddingProviders[name];
+    if (!factory) {
+        throw new Error(`Unknown embedding provider: ${name}`);
+    }
+    return factory({
+        model: options.model || process.env.EMBEDDING_MODEL || undefined,
+        dimension: options.dimension || (process.env.LOCAL_EMBEDDING_DIM ? Number(process.env.LOCAL_EMBEDDING_DIM) : undefined),
+    });
+}
+
+const embeddingProvider = createEmbeddingProvider();
+console.log(`Using embedding provider ${embeddingProvider.name} (${embeddingProvider.model})`);
+
+/**
+ * Returns the active embedding provider.
+ * @returns {object} The embedding provider.
+ */
+function getEmbeddingProvider() {
+    return embeddingProvider;
+}
+
+/**
+ * Takes a piece of text as input.
+ * Returns its embedding from the given provider, or the active one.
+ * @param {string} text - The text to embed.
+ * @param {object} [provider] - The embedding provider, eg a collection's.
+ * @returns {number[]} The embedding.
+ */
+async function getEmbeddings(text, provider = embeddingProvider) {
+    const [vector] = await embedTexts([text], provider);
+    return vector;
+}
+
+// Rate limits, server errors and failures without a response (network errors)
+// are worth retrying; anything else, eg a bad key, fails straight away
+const isRetryable = (err) => !err.status || err.status === 408 || err.status === 429 || err.status >= 500;
+
+// Resolves after ms, or rejects as soon as the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    }, { once: true });
+});
+
+// Chunks per embedding request, and embedding requests in flight at once,
+// for bulk work such as ingestion jobs and migrations
+const EMBEDDING_BATCH_SIZE = Number(process.env.EMBEDDING_BATCH_SIZE || 64);
+const EMBEDDING_CONCURRENCY = Number(process.env.EMBEDDING_CONCURRENCY || 2);
+
+// One provider request, retried with exponential backoff: EMBEDDING_RETRIES
+// attempts after the first (default 5), waiting EMBEDDING_RETRY_DELAY ms
+// (default 500) doubled each time, with jitter
+async function embedWithRetries(texts, provider, signal) {
+    const retries = Number(process.env.EMBEDDING_RETRIES ?? 5);
+    const delay = Number(process.env.EMBEDDING_RETRY_DELAY || 500);
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await provider.embed(texts);
+        } catch (err) {
+            if (attempt >= retries || !isRetryable(err) || signal?.aborted) throw err;
+            const wait = delay * 2 ** attempt * (0.5 + Math.random());
+            console.log(`Embedding request failed (${err.message}), retrying in ${Math.round(wait)} ms...`);
+            await sleep(wait, signal);
+        }
+    }
+}
+
+// A provider request, checked against and charged to the API key's embedding
+// quota when the provider is a paid one (see auth.js)
+async function embedMetered(texts, provider, signal) {
+    if (provider.metered) await checkQuota("embedding");
+    const vectors = await embedWithRetries(texts, provider, signal);
+    if (provider.metered) await recordUsage("embedding", texts.reduce((sum, text) => sum + countTokens(text), 0));
+    return vectors;
+}
+
+/**
+ * Embeds several texts. Vectors in the embedding cache (see cache.js) are
+ * reused; the rest are computed in one provider request, retried on failure.
+ * @param {string[]} texts - The texts to embed.
+ * @param {object} [provider] - The embedding provider, eg a collection's.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops waiting for a retry, eg when a job is cancelled.
+ * @returns {number[][]} One embedding per text, in order.
+ */
+async function embedTexts(texts, provider = embeddingProvider, { signal } = {}) {
+    const vectors = await cachedEmbeddings(texts, provider);
+    const missing = [...new Set(texts.filter((text) => !vectors.has(text)))];
+    if (missing.length > 0) {
+        const computed = await embedMetered(missing, provider, signal);
+        missing.forEach((text, i) => vectors.set(text, computed[i]));
+        await cacheEmbeddings(missing, computed, provider);
+    }
+    return texts.map((text) => vectors.get(text));
+}
+
+const DEFAULT_SYSTEM_PROMPT = "You are a helpful assistant that answers questions about a private document collection.";
+
+/**
+ * Answer generator backed by the OpenAI chat completions API. Passing a
+ * baseURL points it at any OpenAI-compatible server instead (Ollama,
+ * llama.cpp, vLLM, LM Studio, ...).
+ * @param {object} options
+ * @param {string} [options.model] - The chat model name.
+ * @param {number} [options.temperature] - The sampling temperature.
+ * @param {string} [options.systemPrompt] - The system message sent with every request.
+ * @param {string} [options.baseURL] - The base URL of an OpenAI-compatible endpoint.
+ * @param {string} [options.apiKey] - The API key for that endpoint.
+ * @returns {object} The answer generator.
+ */
+function createOpenAIGenerator({ model = "gpt-4o", temperature, systemPrompt = DEFAULT_SYSTEM_PROMPT, baseURL, apiKey } = {}) {
+    // local servers usually ignore the key but the client insists on one
+    const client = baseURL ? new OpenAI({ baseURL, apiKey: apiKey || "not-needed" }) : null;
+    return {
+        name: baseURL ? "openai-compatible" : "openai",
+        model,
+        // only OpenAI's own API is paid for, see auth.js
+        metered: !baseURL,
+        // a prompt template may bring its own system message
+        async generate(prompt, { system } = {}) {
+            console.log(`Initiating ${model} call with a prompt of ${countTokens(prompt)} tokens`);
+            const response = await (client || getOpenAI()).chat.completions.create({
+                messages: [
+                    { role: "system", content: system || systemPrompt },
+                    { role: "user", content: prompt },
+                ],
+                model,
+                temperature,
+            });
+            return response.choices[0]?.message?.content;
+        },
+        // yields { delta } for each piece of the answer and { usage } at the end
+        async *stream(prompt, { signal, system } = {}) {
+            console.log(`Initiating streaming ${model} call with a prompt of ${countTokens(prompt)} tokens`);
+            const stream = await (client || getOpenAI()).chat.completions.create({
+                messages: [
+                    { role: "system", content: system || systemPrompt },
+                    { role: "user", content: prompt },
+                ],
+                model,
+                temperature,
+                stream: true,
+                // compatible servers may reject this, and often send usage anyway
+                ...(baseURL ? {} : { stream_options: { include_usage: true } }),
+            }, { signal });
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0]?.delta?.content;
+                if (delta) yield { delta };
+                if (chunk.usage) {
+                    yield {
+                        usage: {
+                            promptTokens: chunk.usage.prompt_tokens,
+                            completionTokens: chunk.usage.completion_tokens,
+                            totalTokens: chunk.usage.total_tokens,
+                        },
+                    };
+                }
+            }
+        },
+    };
+}
+
+/**
+ * Offline answer generator: returns the context sentences that share the
+ * most stemmed terms with the question, in their original order, each cited
+ * with the number of its passage.
+ * @param {object} options
+ * @param {number} [options.maxSentences] - The most sentences to return.
+ * @returns {object} The answer generator.
+ */
+function createExtractiveGenerator({ maxSentences = 3 } = {}) {
+    return {
+        name: "extractive",
+        model: "extractive",
+        async generate(prompt, { passages, question }) {
+            const questionStems = new Set(natural.PorterStemmer.tokenizeAndStem(question));
+            const sentences = passages.flatMap((passage, i) => (passage.content.match(/[^.!?\n]+[.!?]*/g) || [])
+                .map((sentence) => sentence.trim())
+                .filter((sentence) => sentence.length > 0)
+                .map((sentence) => ({ sentence, number: i + 1 })));
+            const scored = sentences
+                .map(({ sentence, number }, position) => {
+                    const stems = natural.PorterStemmer.tokenizeAndStem(sentence);
+                    const overlap = new Set(stems.filter((stem) => questionStems.has(stem))).size;
+                    return { sentence, number, position, overlap };
+                })
+                .filter((item) => item.overlap > 0)
+                .sort((a, b) => b.overlap - a.overlap || a.position - b.position)
+                .slice(0, maxSentences)
+                .sort((a, b) => a.position - b.position);
+            if (scored.length === 0) {
+                return "I could not find an answer to that in the stored documents.";
+            }
+            return scored.map((item) => `${item.sentence} [${item.number}]`).join(" ");
+        },
+        // without a model to rewrite follow-ups, search on the previous standalone
+        // query (its last 30 words) and this question together
+        async rewrite(history, question) {
+            const previous = history[history.length - 1];
+            const words = (previous.standaloneQuery || previous.question).split(/\s+/).slice(-30);
+            return `${words.join(" ")} ${question}`;
+        },
+        // the answer is instant, so it is streamed word by word for the same interface
+        async *stream(prompt, extras) {
+            const answer = await this.generate(prompt, extras);
+            for (const piece of answer.match(/\S+\s*/g) || []) yield { delta: piece };
+        },
+        // without a model to judge with, a sentence counts as supported when
+        // at least 80% of its stemmed terms occur in the passages
+        async judge(answer, passages) {
+            const contextStems = new Set(passages.flatMap((passage) => natural.PorterStemmer.tokenizeAndStem(passage.content)));
+            const statements = (answer.replace(/\[\d+(?:\s*,\s*\d+)*\]/g, "").match(/[^.!?\n]+[.!?]*/g) || [])
+                .map((sentence) => sentence.trim())
+                .filter((sentence) => sentence.length > 0);
+            const unsupported = statements.filter((sentence) => {
+                const stems = natural.PorterStemmer.tokenizeAndStem(sentence);
+                return stems.length > 0 && stems.filter((stem) => contextStems.has(stem)).length / stems.length < 0.8;
+            });
+            return { statements: statements.length, unsupported };
+        },
+    };
+}
+
+const generators = {
+    openai: (options) => createOpenAIGenerator({ ...options, baseURL: undefined }),
+    "openai-compatible": (options) => createOpenAIGenerator(options),
+    extractive: (options) => createExtractiveGenerator(options),
+};
+
+/**
+ * Builds the answer generator named by GENERATOR (default "openai").
+ * GENERATOR_MODEL, GENERATOR_TEMPERATURE and GENERATOR_SYSTEM_PROMPT tune it;
+ * "openai-compatible" also reads GENERATOR_BASE_URL and GENERATOR_API_KEY.
+ * @returns {object} The answer generator.
+ */
+function createGenerator(name = process.env.GENERATOR || "openai") {
+    const factory = generators[name];
+    if (!factory) {
+        throw new Error(`Unknown answer generator: ${name}`);
+    }
+    if (name === "openai-compatible" && !process.env.GENERATOR_BASE_URL) {
+        throw new Error("GENERATOR_BASE_URL is required for the openai-compatible generator");
+    }
+    return factory({
+        model: process.env.GENERATOR_MODEL || undefined,
+        temperature: process.env.GENERATOR_TEMPERATURE ? Number(process.env.GENERATOR_TEMPERATURE) : undefined,
+        systemPrompt: process.env.GENERATOR_SYSTEM_PROMPT || undefined,
+        baseURL: process.env.GENERATOR_BASE_URL,
+        apiKey: process.env.GENERATOR_API_KEY,
+    });
+}
+
+// Context windows of the chat models we know about, in tokens
+const CONTEXT_WINDOWS = {
+    "gpt-4o": 128000,
+    "gpt-4o-mini": 128000,
+    "gpt-4-turbo": 128000,
+    "gpt-4": 8192,
+    "gpt-3.5-turbo": 16385,
+};
+
+const generator = createGenerator();
+// GENERATOR_CONTEXT_WINDOW is needed for models not listed above, eg local ones
+generator.contextWindow = Number(process.env.GENERATOR_CONTEXT_WINDOW) || CONTEXT_WINDOWS[generator.model] || 8192;
+console.log(`Using answer generator ${generator.name} (${generator.model})`);
+
+// Calls of a paid generator are checked against the API key's generation
+// quota first and charged afterwards, by the reported usage or else by the
+// prompt and answer tokens
+const checkGenerationQuota = async () => {
+    if (generator.metered) await checkQuota("generation");
+};
+const chargeGeneration = async (prompt, answer, usage = null) => {
+    if (!generator.metered) return;
+    await recordUsage("generation", usage?.totalTokens ?? countTokens(prompt) + countTokens(answer || ""));
+};
+
+// The most recent conversation turns that fit in HISTORY_TOKEN_BUDGET tokens
+// (default 1000), oldest first
+function fitHistory(history) {
+    const budget = Number(process.env.HISTORY_TOKEN_BUDGET || 1000);
+    const kept = [];
+    let used = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+        const tokens = countTokens(`${history[i].question}\n${history[i].answer}`);
+        if (used + tokens > budget) break;
+        used += tokens;
+        kept.unshift(history[i]);
+    }
+    return kept;
+}
+
+const formatHistory = (history) => history.map((turn) => `User: ${turn.question}\nAssistant: ${turn.answer}`).join("\n");
+
+// The prompt for a question, its numbered passages and the conversation so
+// far, written with a template from templates.js
+function buildPrompt(passages, question, { history = [], template = DEFAULT_TEMPLATE } = {}) {
+    const context = passages.map((passage, i) => `[${i + 1}] ${passage.content}`).join("\n");
+    const turns = fitHistory(history);
+    const conversation = turns.length > 0 ? `\n Conversation so far:\n${formatHistory(turns)}` : "";
+    const prompt = renderTemplate(template, { context, question, history: conversation });
+    return { prompt, context };
+}
+
+/**
+ * Picks the passages that fit in the generator's context window, leaving
+ * ANSWER_TOKEN_RESERVE tokens (default 1000) for the answer and, if set, no
+ * more than CONTEXT_TOKEN_BUDGET tokens of passages. See context.js for how
+ * overlapping chunks are merged and what is trimmed or dropped.
+ * @param {object[]} passages - The retrieved chunks, best first.
+ * @param {string} question - The user's question.
+ * @param {object} [options]
+ * @param {{question: string, answer: string}[]} [options.history] - Earlier turns of the conversation, oldest first.
+ * @param {object} [options.template] - The prompt template (see templates.js).
+ * @returns {object} The packed passages, to pass to getAnswer or streamAnswer,
+ *   and a report of the budget and what was omitted or trimmed.
+ */
+function assembleContext(passages, question, { history = [], template = DEFAULT_TEMPLATE } = {}) {
+    const { prompt } = buildPrompt([], question, { history, template });
+    const overhead = countTokens(prompt) + countTokens(template.system || DEFAULT_SYSTEM_PROMPT);
+    const reserve = Number(process.env.ANSWER_TOKEN_RESERVE || 1000);
+    let budget = generator.contextWindow - reserve - overhead;
+    if (process.env.CONTEXT_TOKEN_BUDGET) budget = Math.min(budget, Number(process.env.CONTEXT_TOKEN_BUDGET));
+    const packed = packContext(passages, Math.max(0, budget));
+    if (packed.omitted.length > 0 || packed.trimmed.length > 0) {
+        console.log(`Packed ${packed.passages.length} of ${passages.length} passages into ${packed.used} of ${packed.budget} tokens.`);
+    }
+    return packed;
+}
+
+// Inline citations such as [2] or [1, 3] in an answer, mapped back to the
+// passages they number; numbers outside the context are ignored
+function parseCitations(answer, passages) {
+    const citations = [];
+    for (const match of answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+        for (const number of match[1].split(",").map(Number)) {
+            const passage = passages[number - 1];
+            if (passage && !citations.some((citation) => citation.number === number)) {
+                citations.push({ number, docId: passage.docId });
+            }
+        }
+    }
+    return citations;
+}
+
+/**
+ * Rewrites a follow-up question into one that can be searched for without the
+ * conversation, eg "and how does that compare to Data Studio?" after a turn
+ * about Tableau. Falls back to the question as asked if rewriting fails.
+ * @param {{question: string, answer: string}[]} history - Earlier turns, oldest first.
+ * @param {string} question - The latest question.
+ * @returns {string} The standalone question.
+ */
+async function rewriteQuestion(history, question) {
+    const turns = fitHistory(history);
+    if (turns.length === 0) return question;
     try {
-        console.log("initiating openai api call");
-        response = await openai.embeddings.create({
-            model: "text-embedding-ada-002",
-            input: tokens,
-            embedding_format: "float"
-        });
-        return response.data[0].embedding;
+        if (generator.rewrite) return await generator.rewrite(turns, question);
+        const prompt = `Rewrite the last question of the conversation below as a standalone question that can be understood without the conversation, for searching a document collection. Reply with the question only.\n Conversation:\n${formatHistory(turns)}\nLast question: ${question}\nStandalone question:`;
+        await checkGenerationQuota();
+        const rewritten = await generator.generate(prompt, { context: "", question, passages: [] });
+        await chargeGeneration(prompt, rewritten);
+        return rewritten?.trim() || question;
     } catch (e) {
-        console.error("Error calling OpenAI API getEmbeddings:", e?.response?.data[0]);
-        throw new Error("Error calling OpenAI API getEmbeddings");
+        console.error(`Error rewriting question with ${generator.name}:`, e?.message);
+        return question;
     }
 }
 
 /**
- * Takes two arrays of numbers as input.
- * Returns the cosine similarity between the two arrays.
- * @param {number[]} a - The first array of numbers.
- * @param {number[]} b - The second array of numbers.
- * @returns {number} The cosine similarity between the two arrays.
+ * Takes the retrieved passages and a question as input.
+ * Returns the generator's answer with the passages it cites; throws if generation fails.
+ * @param {{docId: number, content: string}[]} passages - The passages from assembleContext, best first.
+ * @param {string} question - The user's question.
+ * @param {object} [options]
+ * @param {{question: string, answer: string}[]} [options.history] - Earlier turns of the conversation, oldest first.
+ * @param {object} [options.template] - The prompt template (see templates.js).
+ * @returns {{answer: string, citations: {number: number, docId: number}[]}} The answer,
+ *   and for each [n] it cites the docId of the nth passage.
  */
-async function getAnswer(context, question) {
-    let prompt = `Answer the question based on the context below. If the question can't be answered based on the context, make a reasonable guess.\n Context: ${context}\nQuestion: ${question}\nAnswer:`;
-    // chekc that the prompt is not too long
-    if (prompt.length > 10000) {
-        throw new Error(`Prompt is too long: ${prompt.length} characters`);
-    }
-    let response;
+async function getAnswer(passages, question, { history = [], template = DEFAULT_TEMPLATE } = {}) {
+    const { prompt, context } = buildPrompt(passages, question, { history, template });
+    await checkGenerationQuota();
     let answer;
     try {
-        console.log(`Initiating OpenAI API call with prompt: ${prompt}`);
-        response = await openai.chat.completions.create({
-            messages: [{ role: "user", content: prompt }],
-            model: "gpt-4o",
-        });
-        answer = response.choices[0].message.content
-        console.log(`GPT Answer: ${answer}`);
-        return answer;
+        answer = await generator.generate(prompt, { context, question, passages, system: template.system });
     } catch (e) {
-        console.error("Error calling OpenAI API:", e?.response?.data?.error);
+        console.error(`Error calling ${generator.name} generator:`, e?.message);
+        const error = new Error(`Error generating answer with ${generator.name} (${generator.model}): ${e?.message}`);
+        error.status = 502;
+        throw error;
+    }
+    await chargeGeneration(`${template.system || ""}${prompt}`, answer);
+    if (!answer) {
+        const error = new Error(`The ${generator.name} generator returned an empty answer`);
+        error.status = 502;
+        throw error;
     }
+    console.log(`Generated an answer of ${countTokens(answer)} tokens with ${generator.model}.`);
+    return { answer, citations: parseCitations(answer, passages) };
 }
 
-// Function to chunk text into N tokens with M overlap
-function chunkText(text, N, M) {
-    const words = text.split(/\s+/);
-    const chunks = [];
+/**
+ * Checks whether an answer says only what its passages support, by asking the
+ * generator to list the statements the passages do not back up (the
+ * extractive generator compares terms instead).
+ * @param {string} answer - The generated answer.
+ * @param {{content: string}[]} passages - The passages it was generated from.
+ * @returns {{score: number|null, statements: number, unsupported: string[]}} The
+ *   share of supported statements; null if the judge's reply could not be read.
+ */
+async function checkFaithfulness(answer, passages) {
+    let verdict;
+    if (generator.judge) {
+        verdict = await generator.judge(answer, passages);
+    } else {
+        const context = passages.map((passage, i) => `[${i + 1}] ${passage.content}`).join("\n");
+        const prompt = `Split the answer below into its factual statements and check each against the context. Reply with JSON only, in the form {"statements": <number of statements>, "unsupported": [<each statement the context does not support>]}.\n Context:\n${context}\n Answer:\n${answer}`;
+        await checkGenerationQuota();
+        const reply = await generator.generate(prompt, { context, question: "", passages, system: "You check answers for claims their sources do not support." });
+        await chargeGeneration(prompt, reply);
+        try {
+            verdict = JSON.parse(reply.slice(reply.indexOf("{"), reply.lastIndexOf("}") + 1));
+        } catch (e) {
+            console.error(`Could not read the faithfulness verdict of ${generator.name}:`, reply);
+            return { score: null, statements: 0, unsupported: [] };
+        }
+    }
+    const statements = Number(verdict.statements) || 0;
+    const unsupported = Array.isArray(verdict.unsupported) ? verdict.unsupported.map(String) : [];
+    const score = statements > 0 ? Math.max(0, statements - unsupported.length) / statements : 1;
+    return { score, statements, unsupported };
+}
 
-    for (let i = 0; i < words.length; i += (N - M)) {
-        const chunk = words.slice(i, i + N).join(' ');
-        chunks.push(chunk);
-        // Ensure overlap only occurs until the end of the text
-        if (i + N >= words.length) break;
+/**
+ * Takes the retrieved passages and a question as input, like getAnswer, but
+ * yields the answer while it is generated: first { delta } for each piece,
+ * then once { answer, citations, usage }. usage holds the prompt, completion
+ * and total token counts when the generator reports them, else null.
+ * @param {{docId: number, content: string}[]} passages - The passages from assembleContext, best first.
+ * @param {string} question - The user's question.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops generation, eg when the client goes away.
+ * @param {{question: string, answer: string}[]} [options.history] - Earlier turns of the conversation, oldest first.
+ * @param {object} [options.template] - The prompt template (see templates.js).
+ */
+async function* streamAnswer(passages, question, { signal, history = [], template = DEFAULT_TEMPLATE } = {}) {
+    const { prompt, context } = buildPrompt(passages, question, { history, template });
+    const extras = { context, question, passages, signal, system: template.system };
+    await checkGenerationQuota();
+    let answer = "";
+    let usage = null;
+    try {
+        const pieces = generator.stream
+            ? generator.stream(prompt, extras)
+            : (async function* () { yield { delta: await generator.generate(prompt, extras) }; })();
+        for await (const piece of pieces) {
+            if (piece.delta) {
+                answer += piece.delta;
+                yield { delta: piece.delta };
+            }
+            if (piece.usage) usage = piece.usage;
+        }
+    } catch (e) {
+        // a stopped answer still cost what was generated so far
+        await chargeGeneration(`${template.system || ""}${prompt}`, answer);
+        if (signal?.aborted) throw e;
+        console.error(`Error calling ${generator.name} generator:`, e?.message);
+        const error = new Error(`Error generating answer with ${generator.name} (${generator.model}): ${e?.message}`);
+        error.status = 502;
+        throw error;
     }
+    await chargeGeneration(`${template.system || ""}${prompt}`, answer, usage);
+    if (!answer) {
+        const error = new Error(`The ${generator.name} generator returned an empty answer`);
+        error.status = 502;
+        throw error;
+    }
+    console.log(`Generated an answer of ${countTokens(answer)} tokens with ${generator.model}.`);
+    yield { answer, citations: parseCitations(answer, passages), usage };
+}
 
-    return chunks;
+/**
+ * Fills in chunking settings from CHUNK_STRATEGY, CHUNK_SIZE and CHUNK_OVERLAP
+ * (default: 1000-word windows with 50 words of overlap).
+ * @param {object} [overrides] - Per-request strategy, size and overlap.
+ * @returns {{strategy: string, size: number, overlap: number}} The settings.
+ */
+function chunkingSettings(overrides = {}) {
+    const strategy = overrides.strategy || process.env.CHUNK_STRATEGY || "words";
+    const defaults = strategy === "words" ? { size: 1000, overlap: 50 } : { size: 500, overlap: 50 };
+    const pick = (value, envName, fallback) => {
+        const number = Number(value ?? process.env[envName] ?? fallback);
+        if (!Number.isFinite(number)) throw new Error(`Chunk ${envName === "CHUNK_SIZE" ? "size" : "overlap"} must be a number`);
+        return number;
+    };
+    return {
+        strategy,
+        size: pick(overrides.size, "CHUNK_SIZE", defaults.size),
+        overlap: pick(overrides.overlap, "CHUNK_OVERLAP", defaults.overlap),
+    };
 }
 
 // Function to process a text file
-async function processTextFile(fileContent, chunkSize) {
-    try {
-        // Chunk the text
-        const chunks = chunkText(fileContent, chunkSize,50);
-        console.log(`File split into ${chunks.length} chunks.`);
-        return chunks;
-    } catch (err) {
-        console.error('Error processing text file:', err);
+// Chunks are re-split if they would go over the embedding model's token limit
+async function processTextFile(fileContent, settings = chunkingSettings(), provider = embeddingProvider) {
+    const chunks = await chunkText(fileContent, {
+        ...settings,
+        embed: (texts) => embedMetered(texts, provider),
+    });
+    const { maxTokens } = provider;
+    const fitted = [];
+    for (const chunk of chunks) {
+        if (maxTokens && countTokens(chunk.text) > maxTokens) {
+            const pieces = await chunkText(chunk.text, { strategy: "tokens", size: maxTokens, overlap: 0 });
+            fitted.push(...pieces.map((piece) => ({ ...piece, start: chunk.start + piece.start, end: chunk.start + piece.end })));
+        } else {
+            fitted.push(chunk);
+        }
     }
+    console.log(`File split into ${fitted.length} chunks (${settings.strategy}, size ${settings.size}, overlap ${settings.overlap}).`);
+    return fitted;
 }
 
-export {getEmbeddings, getAnswer,processTextFile};
\ No newline at end of file
+export {getEmbeddings, embedTexts, EMBEDDING_BATCH_SIZE, EMBEDDING_CONCURRENCY, getEmbeddingProvider, createEmbeddingProvider, assembleContext, getAnswer, streamAnswer, checkFaithfulness, rewriteQuestion, processTextFile, chunkingSettings};
\ No newline at end of file
@@ -0,0 +1,133 @@
+// Command-line client for the evaluation endpoints (see evaluation.js), run
+// against a running server:
+//   node evaluate.js run questions.jsonl [--collection name] [--k 5] [--mode hybrid]
+//       [--fusion rrf] [--alpha 0.5] [--mmr] [--lambda 0.5] [--exact] [--template name]
+//       [--faithfulness] [--name label]
+//   node evaluate.js list [--collection name]
+//   node evaluate.js show <run id>
+//   node evaluate.js compare <baseline run id> <candidate run id>
+// --server points it at another server than http://localhost:3000, and --key
+// sets the API key (default: the API_KEY environment variable).
+
+import { promises as fs } from 'fs';
+import { parseArgs } from 'util';
+
+const METRIC_LABELS = {
+    recall: 'recall@k',
+    mrr: 'MRR',
+    ndcg: 'nDCG@k',
+    contextRecall: 'in prompt',
+    faithfulness: 'faithfulness',
+};
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        server: { type: 'string', default: 'http://localhost:3000' },
+        key: { type: 'string', default: process.env.API_KEY },
+        collection: { type: 'string' },
+        k: { type: 'string' },
+        mode: { type: 'string' },
+        fusion: { type: 'string' },
+        alpha: { type: 'string' },
+        mmr: { type: 'boolean' },
+        lambda: { type: 'string' },
+        exact: { type: 'boolean' },
+        template: { type: 'string' },
+        faithfulness: { type: 'boolean' },
+        name: { type: 'string' },
+    },
+});
+
+/**
+ * Calls the server and returns the JSON it answers with.
+ * @param {string} path - The path, with any query string.
+ * @param {object} [init] - fetch options.
+ * @returns {object} The response body.
+ * @throws {Error} With the server's error details when it does not answer 2xx.
+ */
+async function request(path, init = {}) {
+    const headers = { ...init.headers, ...(args.key ? { Authorization: `Bearer ${args.key}` } : {}) };
+    const res = await fetch(`${args.server}${path}`, { ...init, headers });
+    const body = await res.json();
+    if (!res.ok) throw new Error(`${res.status} ${body.error || ''} ${body.details || ''}`.trim());
+    return body;
+}
+
+const format = (value) => (typeof value === 'number' ? value.toFixed(3) : '-');
+const signed = (value) => (typeof value === 'number' ? `${value >= 0 ? '+' : ''}${value.toFixed(3)}` : '-');
+
+const printRun = (run) => {
+    console.log(`Run ${run.id}${run.name ? ` (${run.name})` : ''} on ${run.collection}, ${run.createdAt}`);
+    console.log(`k=${run.settings.k} mode=${run.settings.mode}${run.settings.mmr ? ` mmr lambda=${run.settings.lambda}` : ''}`);
+    for (const [metric, label] of Object.entries(METRIC_LABELS)) {
+        console.log(`  ${label.padEnd(14)} ${format(run.metrics[metric])}`);
+    }
+    console.log(`  ${run.metrics.questions} questions, ${run.metrics.failed} failed`);
+};
+
+const commands = {
+    async run([file]) {
+        if (!file) throw new Error('Usage: node evaluate.js run <questions.jsonl> [options]');
+        const questions = await fs.readFile(file, 'utf-8');
+        const options = ['collection', 'k', 'mode', 'fusion', 'alpha', 'mmr', 'lambda', 'exact', 'template', 'faithfulness', 'name']
+            .filter((option) => args[option] !== undefined)
+            .map((option) => [option, String(args[option])]);
+        const run = await request(`/evaluations?${new URLSearchParams(options)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-ndjson' },
+            body: questions,
+        });
+        for (const question of run.questions) {
+            if (question.error) console.log(`  ${question.id}: failed, ${question.error}`);
+            else if (question.missed.length > 0) console.log(`  ${question.id}: missed ${question.missed.join(', ')}`);
+        }
+        printRun(run);
+    },
+
+    async list() {
+        const runs = await request(`/evaluations${args.collection ? `?collection=${encodeURIComponent(args.collection)}` : ''}`);
+        for (const run of runs) {
+            console.log([run.id, run.createdAt, run.collection, run.name || '', `recall ${format(run.metrics.recall)}`, `MRR ${format(run.metrics.mrr)}`, `nDCG ${format(run.metrics.ndcg)}`].join('  '));
+        }
+    },
+
+    async show([id]) {
+        if (!id) throw new Error('Usage: node evaluate.js show <run id>');
+        printRun(await request(`/evaluations/${encodeURIComponent(id)}`));
+    },
+
+    async compare([baseline, candidate]) {
+        if (!baseline || !candidate) throw new Error('Usage: node evaluate.js compare <baseline run id> <candidate run id>');
+        const comparison = await request(`/evaluations/${encodeURIComponent(baseline)}/compare/${encodeURIComponent(candidate)}`);
+        const label = (run) => run.name || run.id.slice(0, 8);
+        console.log(`${''.padEnd(16)}${label(comparison.baseline).padStart(12)}${label(comparison.candidate).padStart(12)}${'change'.padStart(10)}`);
+        for (const [metric, label] of Object.entries(METRIC_LABELS)) {
+            const { baseline: before, candidate: after, change } = comparison.metrics[metric];
+            console.log(`  ${label.padEnd(14)}${format(before).padStart(12)}${format(after).padStart(12)}${signed(change).padStart(10)}`);
+        }
+        if (comparison.settings.length > 0) {
+            console.log('Settings that differ:');
+            for (const { setting, baseline: before, candidate: after } of comparison.settings) {
+                console.log(`  ${setting}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`);
+            }
+        }
+        if (comparison.questions.length > 0) {
+            console.log('Questions whose scores changed:');
+            for (const question of comparison.questions) {
+                console.log(`  ${question.id}: recall ${format(question.recall.baseline)} -> ${format(question.recall.candidate)}, `
+                    + `RR ${format(question.reciprocalRank.baseline)} -> ${format(question.reciprocalRank.candidate)}  ${question.question}`);
+            }
+        }
+    },
+};
+
+const [command, ...rest] = positionals;
+if (!commands[command]) {
+    console.error('Usage: node evaluate.js run|list|show|compare ...');
+    process.exit(1);
+}
+commands[command](rest).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,259 @@
+// Retrieval evaluation. A question set is JSONL, one question per line with
+// what a good search should find: { "question", "sources": [source names or
+// paths] } or { "question", "chunkIds": [document ids] }, and optionally an
+// "id" and a metadata "filter". Each question is run through the /search path
+// (server.js passes it in) and scored with recall@k, reciprocal rank and
+// nDCG@k; with faithfulness on, the answer is also generated and checked
+// against the passages it was given. Runs are stored in SQLite with the
+// settings they used, so two runs (say before and after changing the chunk
+// size) can be compared question by question.
+
+import { randomUUID } from 'crypto';
+
+import { dbRun, dbGet, dbAll } from './db.js';
+
+const evaluationError = (message, status) => Object.assign(new Error(message), { status });
+
+// The metrics averaged over a run, in the order reports show them
+const METRICS = ['recall', 'mrr', 'ndcg', 'contextRecall', 'faithfulness'];
+
+/**
+ * Reads a question set.
+ * @param {string|object[]} input - JSONL text, or the questions already parsed.
+ * @returns {object[]} The questions, with ids ("q1", "q2", ... where missing).
+ * @throws {Error} With status 400 naming the first line that is not a valid question.
+ */
+function parseQuestions(input) {
+    let items = input;
+    if (typeof input === 'string') {
+        items = [];
+        for (const [i, line] of input.split('\n').entries()) {
+            if (!line.trim()) continue;
+            try {
+                items.push(JSON.parse(line));
+            } catch (err) {
+                throw evaluationError(`Line ${i + 1} of the question set is not JSON: ${err.message}`, 400);
+            }
+        }
+    }
+    if (!Array.isArray(items) || items.length === 0) throw evaluationError('The question set is empty', 400);
+    return items.map((item, i) => {
+        if (!item || typeof item.question !== 'string' || !item.question.trim()) {
+            throw evaluationError(`Question ${i + 1} has no "question"`, 400);
+        }
+        const { sources = [], chunkIds = [] } = item;
+        if (!Array.isArray(sources) || !Array.isArray(chunkIds) || sources.length + chunkIds.length === 0) {
+            throw evaluationError(`Question ${i + 1} needs the "sources" or "chunkIds" it should retrieve`, 400);
+        }
+        return { id: String(item.id ?? `q${i + 1}`), question: item.question, sources, chunkIds: chunkIds.map(Number), filter: item.filter || null };
+    });
+}
+
+// The expected item a result stands for, if any: its docId when the question
+// lists chunks, else the listed source it came from (by name, path or file name)
+const matchExpected = (question, result) => {
+    if (question.chunkIds.length > 0) return question.chunkIds.includes(result.docId) ? result.docId : null;
+    return question.sources.find((source) => source === result.sourceName
+        || source === result.sourcePath
+        || (result.sourcePath && result.sourcePath.endsWith(`/${source}`))) ?? null;
+};
+
+/**
+ * Scores one question's ranked results. Each expected chunk or source counts
+ * once, at the rank of its first result, so several chunks of the same
+ * source do not inflate the score.
+ * @param {object} question - From parseQuestions.
+ * @param {object[]} results - The search results, best first, with number set
+ *   for the ones that made it into the prompt (see prepareAnswer in server.js).
+ * @param {number} k - The cut-off.
+ * @returns {object} { recall, reciprocalRank, ndcg, contextRecall, found, missed }.
+ */
+function scoreResults(question, results, k) {
+    const expected = question.chunkIds.length > 0 ? question.chunkIds : question.sources;
+    const found = new Map(); // expected item -> rank
+    const inContext = new Set();
+    let dcg = 0;
+    results.slice(0, k).forEach((result, i) => {
+        const item = matchExpected(question, result);
+        if (item === null) return;
+        if (result.number) inContext.add(item);
+        if (found.has(item)) return;
+        found.set(item, i + 1);
+        dcg += 1 / Math.log2(i + 2);
+    });
+    let idealDcg = 0;
+    for (let i = 0; i < Math.min(expected.length, k); i++) idealDcg += 1 / Math.log2(i + 2);
+    const firstRank = Math.min(...found.values());
+    return {
+        recall: found.size / expected.length,
+        reciprocalRank: found.size > 0 ? 1 / firstRank : 0,
+        ndcg: dcg / idealDcg,
+        contextRecall: inContext.size / expected.length,
+        found: [...found].map(([item, rank]) => ({ item, rank })),
+        missed: expected.filter((item) => !found.has(item)),
+    };
+}
+
+// Averages each metric over the questions that have it
+const summarize = (questions) => {
+    const metrics = {};
+    const field = { mrr: 'reciprocalRank' };
+    for (const metric of METRICS) {
+        const values = questions
+            .map((question) => (metric === 'faithfulness' ? question.faithfulness?.score : question[field[metric] || metric]))
+            .filter((value) => typeof value === 'number');
+        metrics[metric] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+    metrics.questions = questions.length;
+    metrics.failed = questions.filter((question) => question.error).length;
+    return metrics;
+};
+
+/**
+ * Runs a question set and stores the run.
+ * @param {object[]} questions - From parseQuestions.
+ * @param {object} options
+ * @param {string} options.collection - The collection searched.
+ * @param {object} options.settings - The search options and collection settings, stored with the run.
+ * @param {number} options.k - The cut-off for the metrics.
+ * @param {string} [options.name] - A label for the run.
+ * @param {function(object): Promise<object>} options.search - Retrieves for a
+ *   question like /search does, returning { results, passages }.
+ * @param {function(object, object): Promise<object>} [options.judge] - Given
+ *   the question and what search returned, generates the answer and checks
+ *   its faithfulness; leaving it out skips the check.
+ * @returns {object} The run.
+ */
+async function runEvaluation(questions, { collection, settings, k, name = null, search, judge = null }) {
+    const scored = [];
+    for (const question of questions) {
+        const item = { id: question.id, question: question.question };
+        try {
+            const retrieved = await search(question);
+            const { results } = retrieved;
+            Object.assign(item, scoreResults(question, results, k));
+            item.results = results.slice(0, k).map((result) => ({ docId: result.docId, score: result.score, sourceName: result.sourceName }));
+            if (judge) item.faithfulness = await judge(question, retrieved);
+        } catch (err) {
+            console.error(`Evaluation question ${question.id} failed:`, err.message);
+            item.error = err.message;
+        }
+        scored.push(item);
+    }
+    const run = {
+        id: randomUUID(),
+        name,
+        collection,
+        settings,
+        metrics: summarize(scored),
+        createdAt: new Date().toISOString(),
+        questions: scored,
+    };
+    await dbRun(
+        `INSERT INTO evaluation_runs (id, name, collection, settings, metrics, questions, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [run.id, name, collection, JSON.stringify(settings), JSON.stringify(run.metrics), JSON.stringify(scored), run.createdAt]
+    );
+    return run;
+}
+
+// The API shape of an evaluation_runs row
+const runDetails = (row, withQuestions = true) => ({
+    id: row.id,
+    name: row.name,
+    collection: row.collection,
+    settings: JSON.parse(row.settings),
+    metrics: JSON.parse(row.metrics),
+    createdAt: row.created_at,
+    ...(withQuestions ? { questions: JSON.parse(row.questions) } : {}),
+});
+
+/**
+ * Returns a stored run with its per-question results.
+ * @param {string} id - The run id.
+ * @returns {object|null} The run, or null if there is none.
+ */
+async function getEvaluation(id) {
+    const row = await dbGet(`SELECT * FROM evaluation_runs WHERE id = ?`, [id]);
+    return row ? runDetails(row) : null;
+}
+
+/**
+ * Lists stored runs, newest first, without their per-question results.
+ * @param {object} [filters]
+ * @param {string} [filters.collection] - Only runs on this collection.
+ * @returns {object[]} The runs.
+ */
+async function listEvaluations({ collection = null } = {}) {
+    const rows = collection
+        ? await dbAll(`SELECT * FROM evaluation_runs WHERE collection = ? ORDER BY created_at DESC`, [collection])
+        : await dbAll(`SELECT * FROM evaluation_runs ORDER BY created_at DESC`);
+    return rows.map((row) => runDetails(row, false));
+}
+
+/**
+ * Deletes a stored run.
+ * @param {string} id - The run id.
+ * @returns {boolean} Whether there was such a run.
+ */
+async function deleteEvaluation(id) {
+    const { changes } = await dbRun(`DELETE FROM evaluation_runs WHERE id = ?`, [id]);
+    return changes > 0;
+}
+
+// Setting paths (eg "chunking.size") whose values differ between two objects
+const settingDifferences = (a, b, prefix = '') => {
+    const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    return [...keys].flatMap((key) => {
+        const path = `${prefix}${key}`;
+        const [left, right] = [a?.[key], b?.[key]];
+        if (left && right && typeof left === 'object' && typeof right === 'object' && !Array.isArray(left)) {
+            return settingDifferences(left, right, `${path}.`);
+        }
+        return JSON.stringify(left) === JSON.stringify(right) ? [] : [{ setting: path, baseline: left ?? null, candidate: right ?? null }];
+    });
+};
+
+/**
+ * Compares two stored runs side by side: each metric with its change, the
+ * settings that differ, and the questions whose scores moved.
+ * @param {string} baselineId - The run compared against.
+ * @param {string} candidateId - The run being judged.
+ * @returns {object} { baseline, candidate, metrics, settings, questions }.
+ * @throws {Error} With status 404 if either run does not exist.
+ */
+async function compareEvaluations(baselineId, candidateId) {
+    const baseline = await getEvaluation(baselineId);
+    if (!baseline) throw evaluationError(`Evaluation ${baselineId} not found.`, 404);
+    const candidate = await getEvaluation(candidateId);
+    if (!candidate) throw evaluationError(`Evaluation ${candidateId} not found.`, 404);
+    const delta = (left, right) => (typeof left === 'number' && typeof right === 'number' ? right - left : null);
+    const metrics = Object.fromEntries(METRICS.map((metric) => [metric, {
+        baseline: baseline.metrics[metric],
+        candidate: candidate.metrics[metric],
+        change: delta(baseline.metrics[metric], candidate.metrics[metric]),
+    }]));
+    const previous = new Map(baseline.questions.map((question) => [question.id, question]));
+    const questions = candidate.questions
+        .filter((question) => previous.has(question.id))
+        .map((question) => {
+            const before = previous.get(question.id);
+            return {
+                id: question.id,
+                question: question.question,
+                recall: { baseline: before.recall ?? null, candidate: question.recall ?? null },
+                reciprocalRank: { baseline: before.reciprocalRank ?? null, candidate: question.reciprocalRank ?? null },
+                ndcg: { baseline: before.ndcg ?? null, candidate: question.ndcg ?? null },
+            };
+        })
+        .filter((question) => ['recall', 'reciprocalRank', 'ndcg'].some((metric) => question[metric].baseline !== question[metric].candidate));
+    const summary = ({ questions: _, ...run }) => run;
+    return {
+        baseline: summary(baseline),
+        candidate: summary(candidate),
+        metrics,
+        settings: settingDifferences(baseline.settings, candidate.settings),
+        questions,
+    };
+}
+
+export { METRICS, parseQuestions, runEvaluation, getEvaluation, listEvaluations, deleteEvaluation, compareEvaluations };
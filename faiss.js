@@ -0,0 +1,725 @@
+// Vector index used for retrieval. Vectors are L2-normalised when they are
+// added and kept in one growing Float32Array, so cosine similarity is a plain
+// dot product. To save memory they can be kept quantized instead (see
+// quantize.js): as int8 codes, or as product-quantization codes once enough
+// vectors have been added to train the codebooks on. Two index types are available:
+//   flat - exact brute-force scan, best for small corpora and for checking recall
+//   hnsw - Hierarchical Navigable Small World graph (Malkov & Yashunin, 2016)
+//          for approximate search that stays fast as the corpus grows
+// Removed vectors are tombstoned: they stay in the graph as stepping stones but
+// never appear in results. Once there are at least compactMinimum of them and
+// they make up compactThreshold of the nodes they are dropped and the graph is
+// rebuilt over the live vectors, so updates and deletes do not grow the index
+// for good. saveIndex/loadIndex write an index to a binary snapshot file so it
+// does not have to be rebuilt from SQLite on every start.
+
+import { promises as fs } from 'fs';
+
+import { int8Encode, defaultSubvectors, trainCodebooks, pqEncode } from './quantize.js';
+
+const QUANTIZATIONS = ['none', 'int8', 'pq'];
+
+// Binary heap of (id, score) pairs; a max-heap when `max` is true
+function createHeap(max) {
+    const ids = [];
+    const scores = [];
+    const above = max ? (a, b) => a > b : (a, b) => a < b;
+    const swap = (i, j) => {
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+        [scores[i], scores[j]] = [scores[j], scores[i]];
+    };
+    return {
+        get size() {
+            return ids.length;
+        },
+        peekScore: () => scores[0],
+        push(id, score) {
+            ids.push(id);
+            scores.push(score);
+            let i = ids.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (!above(scores[i], scores[parent])) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+        pop() {
+            const top = { id: ids[0], score: scores[0] };
+            const lastId = ids.pop();
+            const lastScore = scores.pop();
+            if (ids.length > 0) {
+                ids[0] = lastId;
+                scores[0] = lastScore;
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let best = i;
+                    if (left < ids.length && above(scores[left], scores[best])) best = left;
+                    if (right < ids.length && above(scores[right], scores[best])) best = right;
+                    if (best === i) break;
+                    swap(i, best);
+                    i = best;
+                }
+            }
+            return top;
+        },
+        // drains the heap into an array sorted by descending score
+        toSortedArray() {
+            const items = ids.map((id, i) => ({ id, score: scores[i] }));
+            return items.sort((a, b) => b.score - a.score);
+        },
+    };
+}
+
+// Small seeded PRNG (mulberry32) so graph construction is reproducible; its
+// state is saved with snapshots so a reloaded index keeps growing the same way
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return {
+        get state() {
+            return state;
+        },
+        next() {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+    };
+}
+
+/**
+ * Creates a vector index.
+ * @param {object} options
+ * @param {string} [options.type] - "hnsw" (default) or "flat".
+ * @param {number} [options.M] - HNSW links per node; higher means better recall and more memory.
+ * @param {number} [options.efConstruction] - HNSW candidate list size while building.
+ * @param {number} [options.efSearch] - HNSW candidate list size while searching; higher means better recall and slower queries.
+ * @param {number} [options.exactThreshold] - Corpora up to this size are always searched exactly.
+ * @param {number} [options.seed] - Seed for the HNSW level generator.
+ * @param {number} [options.compactThreshold] - The share of removed nodes (default 0.2) at which the index is compacted.
+ * @param {number} [options.compactMinimum] - Removed nodes (default 1000) below which it is never compacted, so small indexes are not rebuilt on every other delete.
+ * @param {string} [options.quantization] - How vectors are kept: "none" (float32, default), "int8" or "pq".
+ * @param {number} [options.pqSubvectors] - PQ codes per vector; must divide the dimension. Defaults to about dimension / 8.
+ * @param {number} [options.pqTrainSize] - PQ codebooks are trained once this many vectors are indexed; until then they are kept as float32.
+ * @param {object} [snapshot] - Internal state read back by loadIndex.
+ * @returns {object} The index, with add(vector, docId) and search(queryVector, k).
+ */
+function createIndex({
+    type = 'hnsw',
+    M = 16,
+    efConstruction = 200,
+    efSearch = 64,
+    exactThreshold = 1000,
+    seed = 42,
+    compactThreshold = 0.2,
+    compactMinimum = 1000,
+    quantization = 'none',
+    pqSubvectors = null,
+    pqTrainSize = 1000,
+} = {}, snapshot = null) {
+    if (type !== 'hnsw' && type !== 'flat') {
+        throw new Error(`Unknown index type: ${type}`);
+    }
+    if (!QUANTIZATIONS.includes(quantization)) {
+        throw new Error(`Unknown quantization: ${quantization}`);
+    }
+    const M0 = 2 * M; // layer 0 is denser than the upper layers
+    const levelMultiplier = 1 / Math.log(M);
+    const random = createRandom(snapshot ? snapshot.randomState : seed);
+
+    let dimension = 0;
+    let count = 0;
+    let capacity = 0;
+    // how vectors are held right now: "float32" in `vectors`, "int8" in
+    // `codes` times `scales`, or "pq" in `codes` looked up in `codebooks`
+    let storage = quantization === 'int8' ? 'int8' : 'float32';
+    let vectors = new Float32Array(0);
+    let codes = quantization === 'int8' ? new Int8Array(0) : new Uint8Array(0);
+    let scales = new Float32Array(0);
+    let codebooks = null;
+    let subvectors = pqSubvectors; // PQ codes per vector, settled by the first add
+    let centroids = 0; // centroids per PQ subspace
+    let docIds = new Float64Array(0);
+    let levels = new Uint8Array(0);
+    let deleted = new Uint8Array(0);
+    let deletedCount = 0;
+    let links0 = new Int32Array(0); // M0 slots per node for layer 0
+    let linkCounts0 = new Uint16Array(0);
+    let visited = new Uint32Array(0);
+    let visitMark = 0;
+    const upperLinks = []; // upperLinks[node][level - 1] = neighbour ids
+    const nodeByDocId = new Map();
+    let entryPoint = -1;
+    let maxLevel = -1;
+
+    if (snapshot) {
+        ({ dimension, count, docIds, levels, deleted, links0, linkCounts0, entryPoint, maxLevel } = snapshot);
+        ({ storage, subvectors, centroids } = snapshot.quantized);
+        vectors = snapshot.quantized.vectors || vectors;
+        codes = snapshot.quantized.codes || codes;
+        scales = snapshot.quantized.scales || scales;
+        codebooks = snapshot.quantized.codebooks || null;
+        capacity = count;
+        visited = new Uint32Array(capacity);
+        for (let node = 0; node < count; node++) {
+            upperLinks[node] = snapshot.upperLinks[node] || [];
+            if (deleted[node]) {
+                deletedCount++;
+            } else {
+                nodeByDocId.set(docIds[node], node);
+            }
+        }
+    }
+
+    const grow = () => {
+        capacity = Math.max(64, capacity * 2);
+        const resize = (Type, old, width = 1) => {
+            const next = new Type(capacity * width);
+            next.set(old);
+            return next;
+        };
+        if (storage === 'float32') vectors = resize(Float32Array, vectors, dimension);
+        if (storage === 'int8') {
+            codes = resize(Int8Array, codes, dimension);
+            scales = resize(Float32Array, scales);
+        }
+        if (storage === 'pq') codes = resize(Uint8Array, codes, subvectors);
+        docIds = resize(Float64Array, docIds);
+        levels = resize(Uint8Array, levels);
+        deleted = resize(Uint8Array, deleted);
+        links0 = resize(Int32Array, links0, M0);
+        linkCounts0 = resize(Uint16Array, linkCounts0);
+        visited = new Uint32Array(capacity);
+        visitMark = 0;
+    };
+
+    const normalize = (vector) => {
+        const out = Float32Array.from(vector);
+        let norm = 0;
+        for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+        norm = Math.sqrt(norm);
+        if (norm > 0) {
+            for (let i = 0; i < out.length; i++) out[i] /= norm;
+        }
+        return out;
+    };
+
+    // similarity between a normalised query and a stored node; against
+    // quantized nodes it is the similarity to their decoded vector
+    const similarity = (query, node) => {
+        let dot = 0;
+        if (storage === 'int8') {
+            const offset = node * dimension;
+            for (let i = 0; i < dimension; i++) dot += query[i] * codes[offset + i];
+            return dot * scales[node];
+        }
+        if (storage === 'pq') {
+            const sub = dimension / subvectors;
+            for (let j = 0; j < subvectors; j++) {
+                const centroid = (j * 256 + codes[node * subvectors + j]) * sub;
+                for (let d = 0; d < sub; d++) dot += query[j * sub + d] * codebooks[centroid + d];
+            }
+            return dot;
+        }
+        const offset = node * dimension;
+        for (let i = 0; i < dimension; i++) dot += query[i] * vectors[offset + i];
+        return dot;
+    };
+    const nodeVector = (node) => {
+        if (storage === 'float32') return vectors.subarray(node * dimension, (node + 1) * dimension);
+        const vector = new Float32Array(dimension);
+        if (storage === 'int8') {
+            for (let i = 0; i < dimension; i++) vector[i] = codes[node * dimension + i] * scales[node];
+        } else {
+            const sub = dimension / subvectors;
+            for (let j = 0; j < subvectors; j++) {
+                const centroid = (j * 256 + codes[node * subvectors + j]) * sub;
+                vector.set(codebooks.subarray(centroid, centroid + sub), j * sub);
+            }
+        }
+        return vector;
+    };
+
+    const storeVector = (node, vector) => {
+        if (storage === 'int8') {
+            scales[node] = int8Encode(vector, codes, node * dimension);
+        } else if (storage === 'pq') {
+            pqEncode(vector, codebooks, subvectors, centroids, codes, node * subvectors);
+        } else {
+            vectors.set(vector, node * dimension);
+        }
+    };
+
+    // Learns the PQ codebooks from the live vectors, then re-encodes every
+    // node (tombstones included, as the graph still walks through them) and
+    // drops the float32 copies
+    const trainProductQuantizer = () => {
+        const live = [...nodeByDocId.values()].slice(0, pqTrainSize);
+        const sample = new Float32Array(live.length * dimension);
+        live.forEach((node, i) => sample.set(nodeVector(node), i * dimension));
+        codebooks = trainCodebooks(sample, live.length, dimension, subvectors, random);
+        centroids = Math.min(256, live.length);
+        const floats = vectors;
+        storage = 'pq';
+        codes = new Uint8Array(capacity * subvectors);
+        for (let node = 0; node < count; node++) {
+            pqEncode(floats.subarray(node * dimension, (node + 1) * dimension), codebooks, subvectors, centroids, codes, node * subvectors);
+        }
+        vectors = new Float32Array(0);
+    };
+
+    const nextVisitMark = () => {
+        visitMark++;
+        if (visitMark === 0xffffffff) {
+            visited.fill(0);
+            visitMark = 1;
+        }
+        return visitMark;
+    };
+
+    const getNeighbors = (node, level) => {
+        if (level === 0) {
+            return links0.subarray(node * M0, node * M0 + linkCounts0[node]);
+        }
+        return upperLinks[node][level - 1];
+    };
+    const setNeighbors = (node, level, neighbors) => {
+        if (level === 0) {
+            links0.set(neighbors, node * M0);
+            linkCounts0[node] = neighbors.length;
+        } else {
+            upperLinks[node][level - 1] = Array.from(neighbors);
+        }
+    };
+
+    // Best-first search of one graph layer; returns up to ef nodes, best first.
+    // Nodes rejected by `accept` are still walked through, so the graph stays
+    // connected, but never enter the results; this is what lets a filtered
+    // search return k matches rather than whatever survives of the top k.
+    const searchLayer = (query, entryNodes, ef, level, accept = null) => {
+        const mark = nextVisitMark();
+        const candidates = createHeap(true);
+        const results = createHeap(false);
+        const offer = (node, score) => {
+            if (deleted[node] || (accept && !accept(node))) return;
+            results.push(node, score);
+            if (results.size > ef) results.pop();
+        };
+        for (const node of entryNodes) {
+            visited[node] = mark;
+            const score = similarity(query, node);
+            candidates.push(node, score);
+            offer(node, score);
+        }
+        while (candidates.size > 0) {
+            const current = candidates.pop();
+            if (results.size >= ef && current.score < results.peekScore()) break;
+            for (const neighbor of getNeighbors(current.id, level)) {
+                if (visited[neighbor] === mark) continue;
+                visited[neighbor] = mark;
+                const score = similarity(query, neighbor);
+                if (results.size < ef || score > results.peekScore()) {
+                    candidates.push(neighbor, score);
+                    offer(neighbor, score);
+                }
+            }
+        }
+        return results.toSortedArray();
+    };
+
+    // Walks a layer greedily towards the query, used above the insertion level
+    const greedyClosest = (query, node, level) => {
+        let best = node;
+        let bestScore = similarity(query, node);
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const neighbor of getNeighbors(best, level)) {
+                const score = similarity(query, neighbor);
+                if (score > bestScore) {
+                    best = neighbor;
+                    bestScore = score;
+                    improved = true;
+                }
+            }
+        }
+        return best;
+    };
+
+    // HNSW neighbour-selection heuristic: keep a candidate only if it is closer
+    // to the base point than to every neighbour already kept, which spreads the
+    // links out in different directions
+    const selectNeighbors = (candidates, m) => {
+        const selected = [];
+        for (const candidate of candidates) {
+            if (selected.length >= m) break;
+            const candidateVector = nodeVector(candidate.id);
+            const diverse = selected.every((kept) => similarity(candidateVector, kept.id) <= candidate.score);
+            if (diverse) selected.push(candidate);
+        }
+        return selected.map((item) => item.id);
+    };
+
+    const connect = (node, newNode, level) => {
+        const maxLinks = level === 0 ? M0 : M;
+        const neighbors = Array.from(getNeighbors(node, level));
+        if (neighbors.length < maxLinks) {
+            neighbors.push(newNode);
+            setNeighbors(node, level, neighbors);
+            return;
+        }
+        const base = nodeVector(node);
+        const candidates = [...neighbors, newNode]
+            .map((id) => ({ id, score: similarity(base, id) }))
+            .sort((a, b) => b.score - a.score);
+        setNeighbors(node, level, selectNeighbors(candidates, maxLinks));
+    };
+
+    const insertIntoGraph = (node) => {
+        const level = Math.min(255, Math.floor(-Math.log(1 - random.next()) * levelMultiplier));
+        levels[node] = level;
+        upperLinks[node] = Array.from({ length: level }, () => []);
+        if (entryPoint === -1) {
+            entryPoint = node;
+            maxLevel = level;
+            return;
+        }
+        const query = nodeVector(node);
+        let current = entryPoint;
+        for (let l = maxLevel; l > level; l--) {
+            current = greedyClosest(query, current, l);
+        }
+        let entryNodes = [current];
+        for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+            const found = searchLayer(query, entryNodes, efConstruction, l);
+            const neighbors = selectNeighbors(found, M);
+            setNeighbors(node, l, neighbors);
+            for (const neighbor of neighbors) connect(neighbor, node, l);
+            entryNodes = found.map((item) => item.id);
+        }
+        if (level > maxLevel) {
+            maxLevel = level;
+            entryPoint = node;
+        }
+    };
+
+    // Brute-force scan over `nodes` (an iterable of node ids), or every node
+    const exactSearch = (query, k, nodes = null) => {
+        const results = createHeap(false);
+        const consider = (node) => {
+            if (deleted[node]) return;
+            const score = similarity(query, node);
+            if (results.size < k || score > results.peekScore()) {
+                results.push(node, score);
+                if (results.size > k) results.pop();
+            }
+        };
+        if (nodes) {
+            for (const node of nodes) consider(node);
+        } else {
+            for (let node = 0; node < count; node++) consider(node);
+        }
+        return results.toSortedArray();
+    };
+
+    // Drops the tombstones: moves the live nodes to the front, keeping their
+    // stored (possibly quantized) vectors as they are, and rebuilds the graph
+    // over them
+    const compact = () => {
+        const width = storage === 'pq' ? subvectors : dimension;
+        const store = storage === 'float32' ? vectors : codes;
+        let live = 0;
+        for (let node = 0; node < count; node++) {
+            if (deleted[node]) continue;
+            store.copyWithin(live * width, node * width, (node + 1) * width);
+            if (storage === 'int8') scales[live] = scales[node];
+            docIds[live] = docIds[node];
+            live++;
+        }
+        count = live;
+        deleted.fill(0);
+        deletedCount = 0;
+        nodeByDocId.clear();
+        for (let node = 0; node < count; node++) nodeByDocId.set(docIds[node], node);
+        linkCounts0.fill(0);
+        levels.fill(0);
+        upperLinks.length = 0;
+        entryPoint = -1;
+        maxLevel = -1;
+        if (type === 'hnsw') {
+            for (let node = 0; node < count; node++) insertIntoGraph(node);
+        }
+    };
+
+    const approximateSearch = (query, k, ef, accept = null) => {
+        let current = entryPoint;
+        for (let l = maxLevel; l > 0; l--) {
+            current = greedyClosest(query, current, l);
+        }
+        return searchLayer(query, [current], Math.max(ef, k), 0, accept).slice(0, k);
+    };
+
+    const index = {
+        type,
+        params: { M, efConstruction, efSearch, exactThreshold, compactThreshold, compactMinimum },
+
+        // number of live (not removed) vectors
+        get size() {
+            return count - deletedCount;
+        },
+
+        get tombstones() {
+            return deletedCount;
+        },
+
+        get dimension() {
+            return dimension;
+        },
+
+        has: (docId) => nodeByDocId.has(docId),
+
+        quantization,
+
+        // a copy of the stored (normalised, and for quantized indexes decoded) vector of a docId, or null
+        vector: (docId) => {
+            const node = nodeByDocId.get(docId);
+            return node === undefined ? null : Float32Array.from(nodeVector(node));
+        },
+
+        // adding a docId that is already indexed replaces its vector
+        add: (vector, docId) => {
+            if (dimension === 0) {
+                if (quantization === 'pq') {
+                    subvectors = subvectors || defaultSubvectors(vector.length);
+                    if (vector.length % subvectors !== 0) {
+                        throw new Error(`PQ subvectors ${subvectors} do not divide the vector dimension ${vector.length}`);
+                    }
+                }
+                dimension = vector.length;
+            }
+            if (vector.length !== dimension) {
+                throw new Error(`Vector dimension ${vector.length} does not match index dimension ${dimension}`);
+            }
+            index.remove(docId);
+            if (count === capacity) grow();
+            const node = count++;
+            storeVector(node, normalize(vector));
+            docIds[node] = docId;
+            nodeByDocId.set(docId, node);
+            if (type === 'hnsw') insertIntoGraph(node);
+            if (quantization === 'pq' && storage === 'float32' && index.size >= pqTrainSize) trainProductQuantizer();
+        },
+
+        /**
+         * Returns the k stored vectors most similar to the query.
+         * @param {number[]} queryVector - The query embedding.
+         * @param {number} k - The number of results.
+         * @param {object} [options]
+         * @param {boolean} [options.exact] - Force a brute-force scan.
+         * @param {number} [options.efSearch] - Override efSearch for this query.
+         * @param {Set<number>|function(number): boolean} [options.filter] - Only return these docIds.
+         * @returns {{docId: number, score: number}[]} Results, most similar first.
+         */
+        search: (queryVector, k, { exact = false, efSearch: ef = index.params.efSearch, filter = null } = {}) => {
+            if (index.size === 0) return [];
+            if (queryVector.length !== dimension) {
+                throw new Error(`Query dimension ${queryVector.length} does not match index dimension ${dimension}`);
+            }
+            const query = normalize(queryVector);
+            let results;
+            if (filter instanceof Set) {
+                // a selective filter is cheaper to scan directly than to walk the graph for
+                const useExact = exact || type === 'flat' || filter.size <= Math.max(index.params.exactThreshold, count / 10);
+                if (useExact) {
+                    const nodes = [...filter].map((docId) => nodeByDocId.get(docId)).filter((node) => node !== undefined);
+                    results = exactSearch(query, k, nodes);
+                } else {
+                    results = approximateSearch(query, k, ef, (node) => filter.has(docIds[node]));
+                }
+            } else if (filter) {
+                const accept = (node) => filter(docIds[node]);
+                const useExact = exact || type === 'flat' || count <= index.params.exactThreshold;
+                results = useExact
+                    ? exactSearch(query, k, [...nodeByDocId.values()].filter(accept))
+                    : approximateSearch(query, k, ef, accept);
+            } else {
+                const useExact = exact || type === 'flat' || count <= index.params.exactThreshold;
+                results = useExact ? exactSearch(query, k) : approximateSearch(query, k, ef);
+            }
+            return results.map((item) => ({ docId: docIds[item.id], score: item.score }));
+        },
+
+        /**
+         * Removes a vector from search results, compacting the index when
+         * there are compactMinimum tombstones and they pass compactThreshold of its nodes.
+         * @param {number} docId - The document id.
+         * @returns {boolean} Whether the docId was indexed.
+         */
+        remove: (docId) => {
+            const node = nodeByDocId.get(docId);
+            if (node === undefined) return false;
+            deleted[node] = 1;
+            deletedCount++;
+            nodeByDocId.delete(docId);
+            const { compactThreshold: threshold, compactMinimum: minimum } = index.params;
+            if (deletedCount >= minimum && deletedCount >= count * threshold) compact();
+            return true;
+        },
+
+        /**
+         * Estimates the memory the index takes, in bytes.
+         * @returns {object} { vectors, codebooks, graph, ids, total, float32 }, where
+         *   float32 is what the vectors would take unquantized.
+         */
+        memoryUsage: () => {
+            const vectorBytes = {
+                float32: count * dimension * 4,
+                int8: count * (dimension + 4),
+                pq: count * subvectors,
+            }[storage];
+            let upperLinkCount = 0;
+            for (let node = 0; node < count; node++) {
+                for (const links of upperLinks[node] || []) upperLinkCount += links.length;
+            }
+            const usage = {
+                vectors: vectorBytes,
+                codebooks: codebooks ? codebooks.byteLength : 0,
+                graph: type === 'hnsw' ? count * (M0 * 4 + 2 + 1) + upperLinkCount * 8 : 0,
+                ids: count * (8 + 1),
+            };
+            return {
+                ...usage,
+                total: Object.values(usage).reduce((sum, bytes) => sum + bytes, 0),
+                float32: count * dimension * 4,
+                storage,
+            };
+        },
+
+        // Everything needed to rebuild the index, trimmed to the used length
+        exportState: () => {
+            const sparseUpperLinks = {};
+            for (let node = 0; node < count; node++) {
+                if (upperLinks[node] && upperLinks[node].length > 0) sparseUpperLinks[node] = upperLinks[node];
+            }
+            return {
+                header: {
+                    type,
+                    params: {
+                        M, efConstruction, efSearch: index.params.efSearch, exactThreshold: index.params.exactThreshold,
+                        compactThreshold: index.params.compactThreshold, compactMinimum: index.params.compactMinimum,
+                        seed, quantization, pqTrainSize,
+                    },
+                    quantized: { storage, subvectors, centroids },
+                    dimension,
+                    count,
+                    entryPoint,
+                    maxLevel,
+                    randomState: random.state,
+                    upperLinks: sparseUpperLinks,
+                },
+                arrays: [
+                    ...{
+                        float32: () => [vectors.subarray(0, count * dimension)],
+                        int8: () => [codes.subarray(0, count * dimension), scales.subarray(0, count)],
+                        pq: () => [codes.subarray(0, count * subvectors), codebooks],
+                    }[storage](),
+                    docIds.subarray(0, count),
+                    levels.subarray(0, count),
+                    deleted.subarray(0, count),
+                    links0.subarray(0, count * M0),
+                    linkCounts0.subarray(0, count),
+                ],
+            };
+        },
+    };
+    return index;
+}
+
+const SNAPSHOT_MAGIC = 'VDBI';
+const SNAPSHOT_VERSION = 3;
+
+/**
+ * Writes an index to a snapshot file. The write goes to a temporary file that
+ * is renamed into place, so a crash never leaves a half-written snapshot.
+ * @param {object} index - The index to save.
+ * @param {string} filePath - The snapshot path.
+ * @param {object} [meta] - Extra information stored in the header, eg how the index relates to SQLite.
+ */
+async function saveIndex(index, filePath, meta = {}) {
+    const { header, arrays } = index.exportState();
+    const headerBuffer = Buffer.from(JSON.stringify({ version: SNAPSHOT_VERSION, ...header, meta }));
+    const prefix = Buffer.alloc(8);
+    prefix.write(SNAPSHOT_MAGIC, 0, 'ascii');
+    prefix.writeUInt32LE(headerBuffer.length, 4);
+    const body = arrays.map((array) => Buffer.from(array.buffer, array.byteOffset, array.byteLength));
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, Buffer.concat([prefix, headerBuffer, ...body]));
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Reads a snapshot written by saveIndex.
+ * @param {string} filePath - The snapshot path.
+ * @param {object} [overrides] - Search-time parameters (efSearch, exactThreshold, compactThreshold, compactMinimum) to apply to the loaded index.
+ * @returns {{index: object, meta: object}|null} The index and its metadata, or null if there is no snapshot.
+ */
+async function loadIndex(filePath, overrides = {}) {
+    let buffer;
+    try {
+        buffer = await fs.readFile(filePath);
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+    if (buffer.toString('ascii', 0, 4) !== SNAPSHOT_MAGIC) {
+        throw new Error(`${filePath} is not an index snapshot`);
+    }
+    const headerLength = buffer.readUInt32LE(4);
+    const header = JSON.parse(buffer.toString('utf8', 8, 8 + headerLength));
+    if (header.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported index snapshot version ${header.version}`);
+    }
+    const { count, dimension } = header;
+    let offset = 8 + headerLength;
+    // copy each section out so the typed arrays are aligned and growable
+    const read = (Type, length) => {
+        const array = new Type(length);
+        const bytes = length * Type.BYTES_PER_ELEMENT;
+        new Uint8Array(array.buffer).set(buffer.subarray(offset, offset + bytes));
+        offset += bytes;
+        return array;
+    };
+    const M0 = 2 * header.params.M;
+    const { storage, subvectors, centroids } = header.quantized;
+    const quantized = {
+        float32: () => ({ vectors: read(Float32Array, count * dimension) }),
+        int8: () => ({ codes: read(Int8Array, count * dimension), scales: read(Float32Array, count) }),
+        pq: () => ({ codes: read(Uint8Array, count * subvectors), codebooks: read(Float32Array, subvectors * 256 * (dimension / subvectors)) }),
+    }[storage]();
+    const snapshot = {
+        dimension,
+        count,
+        entryPoint: header.entryPoint,
+        maxLevel: header.maxLevel,
+        randomState: header.randomState,
+        upperLinks: header.upperLinks,
+        quantized: { storage, subvectors, centroids, ...quantized },
+        docIds: read(Float64Array, count),
+        levels: read(Uint8Array, count),
+        deleted: read(Uint8Array, count),
+        links0: read(Int32Array, count * M0),
+        linkCounts0: read(Uint16Array, count),
+    };
+    const params = { ...header.params };
+    for (const key of ['efSearch', 'exactThreshold', 'compactThreshold', 'compactMinimum']) {
+        if (overrides[key] !== undefined) params[key] = overrides[key];
+    }
+    const index = createIndex({ type: header.type, ...params, pqSubvectors: subvectors }, snapshot);
+    return { index, meta: header.meta };
+}
+
+export { QUANTIZATIONS, createIndex, saveIndex, loadIndex };
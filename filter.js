@@ -0,0 +1,130 @@
+// Metadata filters for /search, compiled to a SQL WHERE clause over the
+// documents table. A filter is a JSON object mapping fields to conditions:
+//   { "sourceName": "AAVisualization.txt" }                      equals
+//   { "sourceName": { "$in": ["a.txt", "b.txt"] } }              one of a list
+//   { "tags": { "$contains": "gcp" } }                           array holds a value
+//   { "ingestedAt": { "$gt": "2025-01-01" } }                    after a date
+//   { "year": { "$gte": 2020, "$lt": 2025 } }                    numeric range
+//   { "$or": [ {...}, {...} ] }, { "$and": [...] }, { "$not": {...} }
+// Built-in provenance fields map to their columns; any other field (or
+// "metadata.<field>") is looked up in the chunk's JSON metadata.
+
+const COLUMNS = {
+    id: 'id',
+    docId: 'id',
+    sourceName: 'source_name',
+    sourcePath: 'source_path',
+    chunkIndex: 'chunk_index',
+    charStart: 'char_start',
+    charEnd: 'char_end',
+    ingestedAt: 'ingested_at',
+    contentHash: 'content_hash',
+};
+
+const COMPARISONS = { $eq: '=', $ne: '!=', $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+const filterError = (message) => {
+    const error = new Error(`Invalid filter: ${message}`);
+    error.status = 400;
+    return error;
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const checkScalar = (value, field) => {
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw filterError(`values for ${field} must be strings, numbers or booleans`);
+    }
+    return typeof value === 'boolean' ? Number(value) : value;
+};
+
+// SQL expression for a field plus the parameters it needs
+const fieldExpression = (field) => {
+    if (COLUMNS[field]) return { sql: COLUMNS[field], params: [], jsonPath: null };
+    const key = field.startsWith('metadata.') ? field.slice('metadata.'.length) : field;
+    if (!/^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/.test(key)) {
+        throw filterError(`unsupported field name "${field}"`);
+    }
+    const jsonPath = '$.' + key.split('.').map((part) => `"${part}"`).join('.');
+    return { sql: `json_extract(metadata, ?)`, params: [jsonPath], jsonPath };
+};
+
+const compileCondition = (field, condition) => {
+    const target = fieldExpression(field);
+    // a bare value means equality
+    const operators = isPlainObject(condition) ? condition : { $eq: condition };
+    const clauses = [];
+    const params = [];
+    for (const [operator, operand] of Object.entries(operators)) {
+        if (COMPARISONS[operator]) {
+            clauses.push(`${target.sql} ${COMPARISONS[operator]} ?`);
+            params.push(...target.params, checkScalar(operand, field));
+        } else if (operator === '$in' || operator === '$nin') {
+            if (!Array.isArray(operand) || operand.length === 0) {
+                throw filterError(`${operator} on ${field} needs a non-empty array`);
+            }
+            const placeholders = operand.map(() => '?').join(', ');
+            const negate = operator === '$nin' ? 'NOT ' : '';
+            clauses.push(`${target.sql} ${negate}IN (${placeholders})`);
+            params.push(...target.params, ...operand.map((value) => checkScalar(value, field)));
+        } else if (operator === '$contains') {
+            if (target.jsonPath) {
+                // the metadata value is an array holding the operand, or a string containing it
+                clauses.push(`(EXISTS (SELECT 1 FROM json_each(metadata, ?) WHERE value = ?)
+                    OR (json_type(metadata, ?) = 'text' AND instr(json_extract(metadata, ?), ?) > 0))`);
+                const value = checkScalar(operand, field);
+                params.push(target.jsonPath, value, target.jsonPath, target.jsonPath, value);
+            } else {
+                clauses.push(`instr(${target.sql}, ?) > 0`);
+                params.push(String(checkScalar(operand, field)));
+            }
+        } else if (operator === '$exists') {
+            clauses.push(`${target.sql} IS ${operand ? 'NOT ' : ''}NULL`);
+            params.push(...target.params);
+        } else {
+            throw filterError(`unknown operator ${operator} on ${field}`);
+        }
+    }
+    if (clauses.length === 0) throw filterError(`no conditions given for ${field}`);
+    return { sql: clauses.join(' AND '), params };
+};
+
+const compileNode = (filter) => {
+    if (!isPlainObject(filter)) throw filterError('expected an object');
+    const clauses = [];
+    const params = [];
+    for (const [key, value] of Object.entries(filter)) {
+        let compiled;
+        if (key === '$and' || key === '$or') {
+            if (!Array.isArray(value) || value.length === 0) {
+                throw filterError(`${key} needs a non-empty array`);
+            }
+            const parts = value.map(compileNode);
+            compiled = {
+                sql: parts.map((part) => `(${part.sql})`).join(key === '$and' ? ' AND ' : ' OR '),
+                params: parts.flatMap((part) => part.params),
+            };
+        } else if (key === '$not') {
+            const part = compileNode(value);
+            compiled = { sql: `NOT (${part.sql})`, params: part.params };
+        } else {
+            compiled = compileCondition(key, value);
+        }
+        clauses.push(`(${compiled.sql})`);
+        params.push(...compiled.params);
+    }
+    return { sql: clauses.length > 0 ? clauses.join(' AND ') : '1 = 1', params };
+};
+
+/**
+ * Compiles a filter expression into SQL.
+ * @param {object} filter - The filter expression.
+ * @returns {{where: string, params: any[]}} A WHERE clause (without the keyword) and its parameters.
+ * @throws {Error} With status 400 when the filter is malformed.
+ */
+function compileFilter(filter) {
+    const { sql, params } = compileNode(filter);
+    return { where: sql, params };
+}
+
+export { compileFilter };
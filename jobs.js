@@ -0,0 +1,305 @@
+// Background ingestion jobs. A job is a list of files worked through one at a
+// time by the handler registered for its type (server.js registers
+// "load-documents" and "add"). Jobs and the status of each of their files are
+// stored in SQLite, so clients can poll a job by id while it runs, cancel it,
+// and resume it after a failure, a cancel or a restart: finished files are
+// kept (without their uploaded content, which is no longer needed) and the
+// rest are run again. Jobs run one after another in the order
+// they were queued. A job's paid embedding calls count against the API key
+// that queued or last resumed it (see auth.js).
+
+import { randomUUID } from 'crypto';
+
+import { dbRun, dbGet, dbAll } from './db.js';
+import { currentKey, runAsKey } from './auth.js';
+
+const jobError = (message, status) => Object.assign(new Error(message), { status });
+
+const handlers = new Map(); // job type -> async (job, file, { signal, progress }) => result
+const queue = []; // ids of queued jobs, oldest first
+let running = null; // { id, abort, stopped } of the job being worked on; stopped settles once it has
+
+// Jobs that can be started again by resumeJob
+const RESUMABLE = ['failed', 'cancelled', 'interrupted'];
+
+// The API shape of a job_files row
+const fileDetails = (row) => ({
+    file: row.file,
+    action: row.action,
+    status: row.status,
+    chunksTotal: row.chunks_total,
+    chunksDone: row.chunks_done,
+    attempts: row.attempts,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    updatedAt: row.updated_at,
+});
+
+// Adds up the numeric fields of the files' results, eg chunksAdded
+const sumResults = (files) => {
+    const totals = {};
+    for (const { result } of files) {
+        for (const [key, value] of Object.entries(result || {})) {
+            if (typeof value === 'number') totals[key] = (totals[key] || 0) + value;
+        }
+    }
+    return totals;
+};
+
+/**
+ * Registers the function that processes one file of a job type.
+ * @param {string} type - The job type.
+ * @param {function(object, object, object): Promise<object>} handler - Called
+ *   with the job, the file ({ file, action, content }) and { signal, progress };
+ *   progress(done, total) reports chunks. Returns the file's result.
+ */
+function registerJobType(type, handler) {
+    handlers.set(type, handler);
+}
+
+/**
+ * Returns a job with its progress.
+ * @param {string} id - The job id.
+ * @returns {object|null} The job, with the status of each file, or null if there is none.
+ */
+async function getJob(id) {
+    const row = await dbGet(`SELECT * FROM jobs WHERE id = ?`, [id]);
+    if (!row) return null;
+    const files = (await dbAll(
+        `SELECT job_id, position, file, action, status, chunks_total, chunks_done, attempts, result, error, updated_at
+         FROM job_files WHERE job_id = ? ORDER BY position`,
+        [id]
+    )).map(fileDetails);
+    const count = (status) => files.filter((file) => file.status === status).length;
+    return {
+        id: row.id,
+        type: row.type,
+        collection: row.collection,
+        status: row.status,
+        error: row.error,
+        apiKeyId: row.api_key_id,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        finishedAt: row.finished_at,
+        progress: {
+            files: files.length,
+            done: count('done'),
+            failed: count('failed'),
+            pending: count('pending') + count('running'),
+            chunksTotal: files.reduce((sum, file) => sum + (file.chunksTotal || 0), 0),
+            chunksDone: files.reduce((sum, file) => sum + file.chunksDone, 0),
+        },
+        totals: sumResults(files),
+        files,
+    };
+}
+
+/**
+ * Lists jobs, newest first, without their files.
+ * @param {object} [filters]
+ * @param {string} [filters.collection] - Only jobs of this collection.
+ * @param {string} [filters.status] - Only jobs with this status.
+ * @param {string} [filters.apiKeyId] - Only jobs queued or last resumed with this API key.
+ * @returns {object[]} The jobs.
+ */
+async function listJobs({ collection = null, status = null, apiKeyId = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (collection) {
+        conditions.push('collection = ?');
+        params.push(collection);
+    }
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+    if (apiKeyId) {
+        conditions.push('api_key_id = ?');
+        params.push(apiKeyId);
+    }
+    const rows = await dbAll(
+        `SELECT id FROM jobs ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY created_at DESC`,
+        params
+    );
+    const jobs = [];
+    for (const row of rows) {
+        const { files, ...job } = await getJob(row.id);
+        jobs.push(job);
+    }
+    return jobs;
+}
+
+const setJob = (id, fields) => {
+    const columns = Object.keys(fields);
+    return dbRun(
+        `UPDATE jobs SET ${columns.map((column) => `${column} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+        [...Object.values(fields), new Date().toISOString(), id]
+    );
+};
+
+const setFile = (id, position, fields) => {
+    const columns = Object.keys(fields);
+    return dbRun(
+        `UPDATE job_files SET ${columns.map((column) => `${column} = ?`).join(', ')}, updated_at = ? WHERE job_id = ? AND position = ?`,
+        [...Object.values(fields), new Date().toISOString(), id, position]
+    );
+};
+
+/**
+ * Queues a job.
+ * @param {string} type - A type registered with registerJobType.
+ * @param {string} collection - The collection it ingests into.
+ * @param {object} params - Settings the handler needs, stored as JSON.
+ * @param {{file: string, action: string, content?: string|Buffer}[]} files - What to process, in order.
+ * @returns {object} The job.
+ */
+async function createJob(type, collection, params, files) {
+    if (!handlers.has(type)) throw jobError(`Unknown job type: ${type}`, 400);
+    const id = randomUUID();
+    const now = new Date().toISOString();
+    await dbRun(
+        `INSERT INTO jobs (id, type, collection, status, params, api_key_id, created_at, updated_at) VALUES (?, ?, ?, 'queued', ?, ?, ?, ?)`,
+        [id, type, collection, JSON.stringify(params), currentKey()?.id ?? null, now, now]
+    );
+    for (const [position, { file, action, content = null }] of files.entries()) {
+        await dbRun(
+            `INSERT INTO job_files (job_id, position, file, action, content, status, updated_at) VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+            [id, position, file, action, content, now]
+        );
+    }
+    queue.push(id);
+    setImmediate(runNext);
+    return getJob(id);
+}
+
+// Works through the pending files of a job
+async function runJob(id, signal) {
+    const row = await dbGet(`SELECT * FROM jobs WHERE id = ?`, [id]);
+    const job = { id, type: row.type, collection: row.collection, params: JSON.parse(row.params || '{}') };
+    const handler = handlers.get(job.type);
+    await setJob(id, { status: 'running', error: null });
+    const files = await dbAll(`SELECT * FROM job_files WHERE job_id = ? AND status = 'pending' ORDER BY position`, [id]);
+    for (const file of files) {
+        if (signal.aborted) break;
+        await setFile(id, file.position, { status: 'running', attempts: file.attempts + 1, error: null, chunks_done: 0 });
+        const progress = (done, total) => setFile(id, file.position, { chunks_done: done, chunks_total: total });
+        try {
+            const result = await handler(job, { file: file.file, action: file.action, content: file.content }, { signal, progress });
+            // a finished file is never run again, so its uploaded content can go
+            await setFile(id, file.position, { status: 'done', result: JSON.stringify(result || {}), content: null });
+        } catch (err) {
+            if (signal.aborted) break;
+            console.error(`Job ${id} failed on ${file.file}:`, err);
+            await setFile(id, file.position, { status: 'failed', error: err.message });
+        }
+    }
+    if (signal.aborted) {
+        await dbRun(`UPDATE job_files SET status = 'cancelled' WHERE job_id = ? AND status IN ('pending', 'running')`, [id]);
+        await setJob(id, { status: 'cancelled', finished_at: new Date().toISOString() });
+        return;
+    }
+    const { failed } = await dbGet(`SELECT COUNT(*) AS failed FROM job_files WHERE job_id = ? AND status = 'failed'`, [id]);
+    await setJob(id, {
+        status: failed > 0 ? 'failed' : 'completed',
+        error: failed > 0 ? `${failed} of ${files.length} files failed` : null,
+        finished_at: new Date().toISOString(),
+    });
+}
+
+// Starts the next queued job unless one is running
+async function runNext() {
+    if (running || queue.length === 0) return;
+    const id = queue.shift();
+    const abort = new AbortController();
+    const work = dbGet(`SELECT api_key_id FROM jobs WHERE id = ?`, [id])
+        .then(({ api_key_id: keyId }) => runAsKey(keyId, () => runJob(id, abort.signal)));
+    running = { id, abort, stopped: work.catch(() => {}) };
+    try {
+        await work;
+    } catch (err) {
+        console.error(`Job ${id} stopped:`, err);
+        await setJob(id, { status: 'failed', error: err.message, finished_at: new Date().toISOString() }).catch(() => {});
+    } finally {
+        running = null;
+        setImmediate(runNext);
+    }
+}
+
+/**
+ * Cancels a queued or running job. A running job stops after its current
+ * embedding request; chunks stored so far are kept.
+ * @param {string} id - The job id.
+ * @returns {object} The job.
+ * @throws {Error} With status 404 if there is no such job, 409 if it already finished.
+ */
+async function cancelJob(id) {
+    const job = await dbGet(`SELECT status FROM jobs WHERE id = ?`, [id]);
+    if (!job) throw jobError(`Job ${id} not found.`, 404);
+    if (running && running.id === id) {
+        running.abort.abort(jobError('The job was cancelled.', 499));
+    } else if (job.status === 'queued' || job.status === 'interrupted') {
+        if (queue.includes(id)) queue.splice(queue.indexOf(id), 1);
+        await dbRun(`UPDATE job_files SET status = 'cancelled' WHERE job_id = ? AND status = 'pending'`, [id]);
+        await setJob(id, { status: 'cancelled', finished_at: new Date().toISOString() });
+    } else {
+        throw jobError(`Job ${id} is ${job.status}.`, 409);
+    }
+    return getJob(id);
+}
+
+/**
+ * Queues a failed, cancelled or interrupted job again. Files that finished
+ * are not processed again.
+ * @param {string} id - The job id.
+ * @returns {object} The job.
+ * @throws {Error} With status 404 if there is no such job, 409 if it cannot be resumed.
+ */
+async function resumeJob(id) {
+    const job = await dbGet(`SELECT status FROM jobs WHERE id = ?`, [id]);
+    if (!job) throw jobError(`Job ${id} not found.`, 404);
+    if (!RESUMABLE.includes(job.status)) throw jobError(`Job ${id} is ${job.status} and cannot be resumed.`, 409);
+    await dbRun(`UPDATE job_files SET status = 'pending' WHERE job_id = ? AND status != 'done'`, [id]);
+    await setJob(id, { status: 'queued', error: null, finished_at: null, api_key_id: currentKey()?.id ?? null });
+    queue.push(id);
+    setImmediate(runNext);
+    return getJob(id);
+}
+
+/**
+ * Marks jobs that were queued or running when the server stopped as
+ * interrupted, so they can be resumed, and drops the content of finished
+ * files. Called once at startup.
+ * @returns {number} The number of interrupted jobs.
+ */
+async function recoverJobs() {
+    await dbRun(
+        `UPDATE job_files SET status = 'pending'
+         WHERE status = 'running' AND job_id IN (SELECT id FROM jobs WHERE status IN ('queued', 'running'))`
+    );
+    const { changes } = await dbRun(`UPDATE jobs SET status = 'interrupted' WHERE status IN ('queued', 'running')`);
+    await dbRun(`UPDATE job_files SET content = NULL WHERE status = 'done' AND content IS NOT NULL`);
+    if (changes > 0) console.log(`${changes} ingestion jobs were interrupted; POST /jobs/<id>/resume to continue them.`);
+    return changes;
+}
+
+/**
+ * Deletes the jobs of a collection with their files and uploaded content,
+ * eg when it is dropped. Its queued jobs are dequeued, and a running one is
+ * stopped and waited for, so it writes nothing for the collection afterwards.
+ * @param {string} collection - The collection name.
+ */
+async function deleteCollectionJobs(collection) {
+    const rows = await dbAll(`SELECT id FROM jobs WHERE collection = ?`, [collection]);
+    for (const { id } of rows) {
+        if (queue.includes(id)) queue.splice(queue.indexOf(id), 1);
+        if (running && running.id === id) {
+            const { stopped } = running;
+            running.abort.abort(jobError(`Collection ${collection} was dropped.`, 499));
+            await stopped;
+        }
+    }
+    await dbRun(`DELETE FROM job_files WHERE job_id IN (SELECT id FROM jobs WHERE collection = ?)`, [collection]);
+    await dbRun(`DELETE FROM jobs WHERE collection = ?`, [collection]);
+}
+
+export { registerJobType, createJob, getJob, listJobs, cancelJob, resumeJob, recoverJobs, deleteCollectionJobs };
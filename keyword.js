@@ -0,0 +1,164 @@
+// BM25 keyword index kept alongside FAISS. Vector search can miss exact
+// identifiers, product names and acronyms; BM25 scores on the literal terms.
+// Text is tokenised and Porter-stemmed with natural, stop words dropped.
+
+import natural from 'natural';
+
+const tokenize = (text) => natural.PorterStemmer.tokenizeAndStem(String(text));
+
+/**
+ * Creates a BM25 index.
+ * @param {object} options
+ * @param {number} [options.k1] - Term-frequency saturation.
+ * @param {number} [options.b] - Document-length normalisation.
+ * @param {object} [data] - Serialised state read back by restoreKeywordIndex.
+ * @returns {object} The index, with add(docId, text) and search(query, k).
+ */
+function createKeywordIndex({ k1 = 1.2, b = 0.75 } = {}, data = null) {
+    const postings = new Map(); // term -> Map(docId -> term frequency)
+    const lengths = new Map(); // docId -> number of terms
+    let totalLength = 0;
+
+    if (data) {
+        for (const [docId, length] of data.lengths) {
+            lengths.set(docId, length);
+            totalLength += length;
+        }
+        for (const [term, docs] of data.postings) postings.set(term, new Map(docs));
+    }
+
+    const index = {
+        get size() {
+            return lengths.size;
+        },
+
+        add: (docId, text) => {
+            if (lengths.has(docId)) return;
+            const terms = tokenize(text);
+            lengths.set(docId, terms.length);
+            totalLength += terms.length;
+            for (const term of terms) {
+                if (!postings.has(term)) postings.set(term, new Map());
+                const docs = postings.get(term);
+                docs.set(docId, (docs.get(docId) || 0) + 1);
+            }
+        },
+
+        has: (docId) => lengths.has(docId),
+
+        // takes the text that was indexed so its postings can be found without a reverse map
+        remove: (docId, text) => {
+            if (!lengths.has(docId)) return false;
+            totalLength -= lengths.get(docId);
+            lengths.delete(docId);
+            for (const term of new Set(tokenize(text))) {
+                const docs = postings.get(term);
+                if (!docs) continue;
+                docs.delete(docId);
+                if (docs.size === 0) postings.delete(term);
+            }
+            return true;
+        },
+
+        /**
+         * Returns the k documents scoring highest for the query.
+         * @param {string} query - The query text.
+         * @param {number} k - The number of results.
+         * @param {object} [options]
+         * @param {Set<number>|function(number): boolean} [options.filter] - Only return these docIds.
+         * @returns {{docId: number, score: number}[]} Results, best first.
+         */
+        search: (query, k, { filter = null } = {}) => {
+            if (lengths.size === 0) return [];
+            const accept = filter instanceof Set ? (docId) => filter.has(docId) : filter;
+            const averageLength = totalLength / lengths.size || 1;
+            const scores = new Map();
+            for (const term of new Set(tokenize(query))) {
+                const docs = postings.get(term);
+                if (!docs) continue;
+                // BM25 idf, floored at zero so very common terms never count against a document
+                const idf = Math.log(1 + (lengths.size - docs.size + 0.5) / (docs.size + 0.5));
+                for (const [docId, frequency] of docs) {
+                    if (accept && !accept(docId)) continue;
+                    const norm = k1 * (1 - b + b * (lengths.get(docId) / averageLength));
+                    const score = idf * ((frequency * (k1 + 1)) / (frequency + norm));
+                    scores.set(docId, (scores.get(docId) || 0) + score);
+                }
+            }
+            return [...scores]
+                .map(([docId, score]) => ({ docId, score }))
+                .sort((x, y) => y.score - x.score)
+                .slice(0, k);
+        },
+
+        toJSON: () => ({
+            k1,
+            b,
+            lengths: [...lengths],
+            postings: [...postings].map(([term, docs]) => [term, [...docs]]),
+        }),
+    };
+    return index;
+}
+
+/**
+ * Picks the stretch of a text holding the most query terms, to show with a
+ * search result. Words match when they stem to a query term, as in BM25.
+ * @param {string} text - The chunk text.
+ * @param {string} query - The query text.
+ * @param {object} [options]
+ * @param {number} [options.length] - The most characters in the snippet.
+ * @returns {{text: string, start: number, end: number, highlights: number[][]}} The snippet,
+ *   its offsets in the text and the [start, end] offsets of matching words within it.
+ */
+function highlightSnippet(text, query, { length = 240 } = {}) {
+    const terms = new Set(tokenize(query));
+    const matches = [...text.matchAll(/[\p{L}\p{N}]+/gu)]
+        .filter((word) => terms.has(natural.PorterStemmer.stem(word[0].toLowerCase())))
+        .map((word) => ({ start: word.index, end: word.index + word[0].length }));
+    let start = 0;
+    let end = text.length;
+    if (text.length > length) {
+        // the window starting at a match that covers the most matches
+        let best = null;
+        let bestCount = 0;
+        for (let i = 0; i < matches.length; i++) {
+            let count = 0;
+            while (i + count < matches.length && matches[i + count].end <= matches[i].start + length) count++;
+            if (count > bestCount) {
+                best = matches[i];
+                bestCount = count;
+            }
+        }
+        // lead in with a little text before the first match, without cutting words
+        start = best ? Math.max(0, Math.min(best.start - Math.floor(length / 8), text.length - length)) : 0;
+        if (start > 0 && /\S/.test(text[start - 1])) start = text.slice(start).search(/\s|$/) + start;
+        end = Math.min(text.length, start + length);
+        if (end < text.length && /\S/.test(text[end])) {
+            const lastSpace = text.slice(start, end).search(/\s\S*$/);
+            if (lastSpace > 0) end = start + lastSpace;
+        }
+        const trimmed = text.slice(start, end);
+        start += trimmed.length - trimmed.trimStart().length;
+        end -= trimmed.length - trimmed.trimEnd().length;
+    }
+    return {
+        text: text.slice(start, end),
+        start,
+        end,
+        highlights: matches
+            .filter((match) => match.start >= start && match.end <= end)
+            .map((match) => [match.start - start, match.end - start]),
+    };
+}
+
+/**
+ * Rebuilds an index from the output of its toJSON().
+ * @param {object} data - The serialised index.
+ * @returns {object} The index.
+ */
+function restoreKeywordIndex(data) {
+    return createKeywordIndex({ k1: data.k1, b: data.b }, data);
+}
+
+export { createKeywordIndex, restoreKeywordIndex, highlightSnippet };
@@ -0,0 +1,173 @@
+// Document loaders, keyed by file extension. A loader turns a file's content
+// into one or more documents of the form
+//   { text, offset, metadata }
+// where offset is where the text starts in the original file (null when the
+// text was extracted, eg from HTML) and metadata is stored with every chunk.
+
+import { Readable } from 'stream';
+import csvParser from 'csv-parser';
+import { parse } from 'node-html-parser';
+
+const listOption = (value) => (Array.isArray(value) ? value : String(value || '').split(',').map((item) => item.trim()).filter(Boolean));
+
+// Plain text: the whole file is one document
+async function loadText(content) {
+    return [{ text: content, offset: 0, metadata: {} }];
+}
+
+// HTML: the visible text of the body, with the page title and description as metadata
+async function loadHTML(content) {
+    const root = parse(content);
+    root.querySelectorAll('script, style, noscript, template, svg, iframe').forEach((node) => node.remove());
+    const title = root.querySelector('title')?.text.trim() || null;
+    const description = root.querySelector('meta[name="description"]')?.getAttribute('content') || null;
+    const body = root.querySelector('body') || root;
+    const text = body.structuredText.replace(/\n{3,}/g, '\n\n').trim();
+    const metadata = {};
+    if (title) metadata.title = title;
+    if (description) metadata.description = description;
+    return text ? [{ text, offset: null, metadata }] : [];
+}
+
+// Markdown: one document per section, tagged with the heading path above it,
+// eg { headings: ["Install", "Linux"], heading: "Linux" }
+async function loadMarkdown(content) {
+    const documents = [];
+    const stack = []; // headings[level - 1]
+    let section = { start: 0, headings: [] };
+    let inFence = false;
+    const closeSection = (end) => {
+        const text = content.slice(section.start, end).trim();
+        if (text) {
+            const offset = section.start + content.slice(section.start, end).indexOf(text);
+            const metadata = section.headings.length > 0
+                ? { headings: section.headings, heading: section.headings[section.headings.length - 1] }
+                : {};
+            documents.push({ text, offset, metadata });
+        }
+    };
+    const lines = content.match(/[^\n]*\n|[^\n]+$/g) || [];
+    let position = 0;
+    for (const line of lines) {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            closeSection(position);
+            const level = heading[1].length;
+            stack.length = level - 1;
+            stack[level - 1] = heading[2];
+            section = { start: position, headings: stack.filter(Boolean) };
+        }
+        position += line.length;
+    }
+    closeSection(content.length);
+    return documents;
+}
+
+// Text and metadata for one CSV row or JSONL record. Without textFields every
+// string field is included as "field: value" lines.
+const recordDocument = (record, { textFields, metadataFields }, metadata) => {
+    const fields = textFields.length > 0
+        ? textFields
+        : Object.keys(record).filter((key) => typeof record[key] === 'string' && !metadataFields.includes(key));
+    const text = fields
+        .filter((field) => record[field] !== undefined && record[field] !== null && record[field] !== '')
+        .map((field) => (fields.length === 1 ? String(record[field]) : `${field}: ${record[field]}`))
+        .join('\n');
+    for (const field of metadataFields) {
+        if (record[field] !== undefined) metadata[field] = record[field];
+    }
+    return { text, offset: null, metadata };
+};
+
+// CSV: one document per row. Options textColumns and metadataColumns (arrays
+// or comma-separated) pick the columns; defaults come from CSV_TEXT_COLUMNS and
+// CSV_METADATA_COLUMNS.
+async function loadCSV(content, options = {}) {
+    const textFields = listOption(options.textColumns ?? process.env.CSV_TEXT_COLUMNS);
+    const metadataFields = listOption(options.metadataColumns ?? process.env.CSV_METADATA_COLUMNS);
+    const rows = await new Promise((resolve, reject) => {
+        const collected = [];
+        Readable.from([content])
+            .pipe(csvParser())
+            .on('data', (row) => collected.push(row))
+            .on('end', () => resolve(collected))
+            .on('error', reject);
+    });
+    return rows
+        .map((row, i) => recordDocument(row, { textFields, metadataFields }, { row: i + 1 }))
+        .filter((document) => document.text);
+}
+
+// JSONL: one document per record. Options textFields and metadataFields work
+// like the CSV columns (JSONL_TEXT_FIELDS, JSONL_METADATA_FIELDS); a record's
+// own "metadata" object is always kept.
+async function loadJSONL(content, options = {}) {
+    const textFields = listOption(options.textFields ?? process.env.JSONL_TEXT_FIELDS);
+    const metadataFields = listOption(options.metadataFields ?? process.env.JSONL_METADATA_FIELDS);
+    const documents = [];
+    content.split('\n').forEach((line, i) => {
+        if (!line.trim()) return;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            throw new Error(`Invalid JSON on line ${i + 1}: ${err.message}`);
+        }
+        const own = typeof record.metadata === 'object' && record.metadata !== null ? record.metadata : {};
+        const fields = textFields.length > 0 ? textFields : ['text', 'content'].filter((field) => typeof record[field] === 'string').slice(0, 1);
+        const document = recordDocument(record, { textFields: fields, metadataFields }, { ...own, line: i + 1 });
+        if (document.text) documents.push(document);
+    });
+    return documents;
+}
+
+const loaders = {
+    '.txt': loadText,
+    '.text': loadText,
+    '.html': loadHTML,
+    '.htm': loadHTML,
+    '.md': loadMarkdown,
+    '.markdown': loadMarkdown,
+    '.csv': loadCSV,
+    '.jsonl': loadJSONL,
+    '.ndjson': loadJSONL,
+};
+
+// content types accepted by /add uploads, and the extension whose loader they use
+const contentTypes = {
+    'text/plain': '.txt',
+    'text/html': '.html',
+    'text/markdown': '.md',
+    'text/x-markdown': '.md',
+    'text/csv': '.csv',
+    'application/jsonl': '.jsonl',
+    'application/x-ndjson': '.jsonl',
+    'application/x-jsonlines': '.jsonl',
+};
+
+/**
+ * Registers a loader for a file extension, replacing any existing one.
+ * @param {string} extension - The extension, including the dot.
+ * @param {function(string, object): Promise<object[]>} loader - The loader.
+ */
+function registerLoader(extension, loader) {
+    loaders[extension.toLowerCase()] = loader;
+}
+
+/**
+ * Returns the loader for a file extension or content type, or null.
+ * @param {object} options
+ * @param {string} [options.extension] - eg ".md".
+ * @param {string} [options.contentType] - eg "text/markdown; charset=utf-8".
+ * @returns {function|null} The loader.
+ */
+function getLoader({ extension, contentType } = {}) {
+    if (contentType) {
+        const mapped = contentTypes[contentType.split(';')[0].trim().toLowerCase()];
+        return mapped ? loaders[mapped] : null;
+    }
+    return loaders[(extension || '').toLowerCase()] || null;
+}
+
+export { getLoader, registerLoader };
@@ -0,0 +1,134 @@
+// Re-embedding migrations: move a collection to another embedding model in the
+// background. Vectors from the new model are staged in staged_vectors while
+// searches keep using the old ones. Once every chunk has a staged vector they
+// replace the old vectors in one transaction and the collection's indexes are
+// rebuilt, so a search never mixes vectors from two models. A migration runs
+// as a job (see jobs.js), so it can be polled, cancelled and resumed; staged
+// vectors survive both, and the embedding cache (see cache.js) makes going
+// back to an earlier model cheap. A staged vector carries the content hash it
+// was embedded from, so a chunk edited meanwhile is embedded again rather
+// than given the vector of its old text.
+
+import { dbRun, dbGet, dbAll, transaction } from './db.js';
+import { createEmbeddingProvider, embedTexts, EMBEDDING_BATCH_SIZE, EMBEDDING_CONCURRENCY } from './embed.js';
+import { encodeVector } from './quantize.js';
+import { getCollection, switchEmbedding } from './collections.js';
+import { registerJobType, createJob } from './jobs.js';
+
+const migrationError = (message, status) => Object.assign(new Error(message), { status });
+
+// Staged vectors that were embedded from a chunk's current content
+const CURRENT_STAGED = `SELECT document_id FROM staged_vectors
+    WHERE collection = ? AND document_id = documents.id AND content_hash = documents.content_hash`;
+
+// Embeds the chunks of a collection that have no staged vector of their
+// current content yet, a window of batches at a time, until none are left;
+// vectors are stored in the collection's storage format, ready to be copied
+// into documents
+async function stageVectors(name, provider, format, { signal, progress }) {
+    const { total } = await dbGet(`SELECT COUNT(*) AS total FROM documents WHERE collection = ?`, [name]);
+    for (;;) {
+        signal.throwIfAborted();
+        const rows = await dbAll(
+            `SELECT id, content, content_hash FROM documents
+             WHERE collection = ? AND NOT EXISTS (${CURRENT_STAGED})
+             ORDER BY id LIMIT ?`,
+            [name, name, EMBEDDING_BATCH_SIZE * EMBEDDING_CONCURRENCY]
+        );
+        if (rows.length === 0) break;
+        const batches = [];
+        for (let i = 0; i < rows.length; i += EMBEDDING_BATCH_SIZE) batches.push(rows.slice(i, i + EMBEDDING_BATCH_SIZE));
+        const vectors = await Promise.all(batches.map((batch) => embedTexts(batch.map((row) => row.content), provider, { signal })));
+        for (const [b, batch] of batches.entries()) {
+            for (const [i, row] of batch.entries()) {
+                const vector = vectors[b][i];
+                await dbRun(
+                    `INSERT OR REPLACE INTO staged_vectors (document_id, collection, provider, model, dimension, vector, content_hash)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [row.id, name, provider.name, provider.model, vector.length, encodeVector(vector, format), row.content_hash]
+                );
+            }
+        }
+        const { staged } = await dbGet(
+            `SELECT COUNT(*) AS staged FROM documents WHERE collection = ? AND EXISTS (${CURRENT_STAGED})`,
+            [name, name]
+        );
+        await progress(staged, Math.max(total, staged));
+    }
+}
+
+// Replaces a collection's vectors with its staged ones, leaving any chunk
+// whose content changed since its vector was staged
+async function applyStagedVectors(name, provider) {
+    await transaction(async () => {
+        await dbRun(
+            `UPDATE documents SET
+                vector = (SELECT vector FROM staged_vectors WHERE document_id = documents.id),
+                dimension = (SELECT dimension FROM staged_vectors WHERE document_id = documents.id),
+                provider = ?, model = ?
+             WHERE collection = ? AND EXISTS (${CURRENT_STAGED})`,
+            [provider.name, provider.model, name, name]
+        );
+        await dbRun(`DELETE FROM staged_vectors WHERE collection = ?`, [name]);
+    });
+}
+
+// The one "file" of a migration job is the collection's documents
+registerJobType('migrate-embeddings', async (job, file, { signal, progress }) => {
+    const collection = getCollection(job.collection);
+    if (!collection) throw migrationError(`Collection ${job.collection} not found.`, 404);
+    const provider = createEmbeddingProvider(job.params.embedding.provider, job.params.embedding);
+    const from = `${collection.provider.name} (${collection.provider.model})`;
+    // vectors staged for a different target are of no use
+    await dbRun(
+        `DELETE FROM staged_vectors WHERE collection = ? AND (provider != ? OR model != ?)`,
+        [collection.name, provider.name, provider.model]
+    );
+    await stageVectors(collection.name, provider, collection.settings.storage, { signal, progress });
+
+    // Catch up with chunks added meanwhile and switch over, with the
+    // collection answering 503 so nothing is ingested in between
+    collection.state.status = 'migrating';
+    let migrated;
+    try {
+        await stageVectors(collection.name, provider, collection.settings.storage, { signal, progress });
+        await applyStagedVectors(collection.name, provider);
+        migrated = await switchEmbedding(collection.name, job.params.embedding);
+    } finally {
+        // switchEmbedding swaps in a new collection, so this only matters when a step failed
+        collection.state.status = 'ready';
+    }
+    console.log(`Migrated ${collection.name} from ${from} to ${provider.name} (${provider.model}).`);
+    return { documents: migrated.faiss.size };
+});
+
+/**
+ * Starts moving a collection to another embedding model.
+ * @param {object} collection - The collection (see collections.js).
+ * @param {object} embedding - { provider, model, dimension } of the new model.
+ * @returns {object} The queued job.
+ * @throws {Error} With status 400 for an unknown provider or the current
+ *   model, 409 while another migration of the collection is under way.
+ */
+async function startMigration(collection, embedding = {}) {
+    let provider;
+    try {
+        provider = createEmbeddingProvider(embedding.provider || collection.provider.name, embedding);
+    } catch (err) {
+        throw migrationError(err.message, 400);
+    }
+    if (provider.name === collection.provider.name && provider.model === collection.provider.model) {
+        throw migrationError(`Collection ${collection.name} already uses ${provider.name} (${provider.model}).`, 400);
+    }
+    const running = await dbGet(
+        `SELECT id FROM jobs WHERE type = 'migrate-embeddings' AND collection = ? AND status IN ('queued', 'running', 'interrupted')`,
+        [collection.name]
+    );
+    if (running) throw migrationError(`Collection ${collection.name} is already being migrated by job ${running.id}.`, 409);
+    const target = { provider: provider.name, model: provider.model, dimension: provider.dimension };
+    return createJob('migrate-embeddings', collection.name, { embedding: target }, [
+        { file: `${provider.name}:${provider.model}`, action: 'migrate' },
+    ]);
+}
+
+export { startMigration };
@@ -0,0 +1,281 @@
+// Portable collection snapshots, for backing up a collection or moving it to
+// another server without copying vectors.db. A snapshot is JSONL: the first
+// line is a manifest with the collection's embedding model, dimension,
+// chunking and index settings, and every further line is one chunk with its
+// content, provenance, metadata and vector (float32, little-endian, base64).
+// Importing checks the manifest against the target collection, so vectors
+// from one model never end up in an index built for another.
+
+import { promises as fs, createReadStream } from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { randomUUID } from 'crypto';
+
+import { dbRun, dbGet, dbAll, transaction, hashContent } from './db.js';
+import { getCollection, addCollection } from './collections.js';
+import { encodeVector, decodeVector } from './quantize.js';
+
+const SNAPSHOT_FORMAT = 'vectordb-collection';
+const SNAPSHOT_VERSION = 1;
+const IMPORT_MODES = ['merge', 'replace'];
+
+// rows read or written per query or transaction
+const PAGE_SIZE = 500;
+// invalid records reported back individually, the rest are only counted
+const MAX_REPORTED_ERRORS = 10;
+
+const snapshotError = (message, status) => Object.assign(new Error(message), { status });
+
+// The snapshot record of a documents row
+const documentRecord = (row) => ({
+    id: row.id,
+    content: row.content,
+    vector: Buffer.from(decodeVector(row.vector, row.dimension).buffer).toString('base64'),
+    sourceName: row.source_name,
+    sourcePath: row.source_path,
+    chunkIndex: row.chunk_index,
+    charStart: row.char_start,
+    charEnd: row.char_end,
+    ingestedAt: row.ingested_at,
+    contentHash: row.content_hash,
+    metadata: row.metadata ? JSON.parse(row.metadata) : {},
+    chunking: row.chunking ? JSON.parse(row.chunking) : null,
+    nearDuplicateOf: row.near_duplicate_of ?? null,
+});
+
+/**
+ * Writes a collection out as a snapshot, one JSONL line at a time. Only
+ * chunks embedded with the collection's current model are included; the
+ * manifest counts the others as omitted.
+ * @param {object} collection - The collection (see collections.js).
+ * @yields {string} The manifest line, then one line per chunk, each ending in a newline.
+ */
+async function* exportCollection(collection) {
+    const { name, provider, settings } = collection;
+    const { documents, omitted } = await dbGet(
+        `SELECT SUM(provider = ? AND model = ?) AS documents, SUM(provider != ? OR model != ?) AS omitted
+         FROM documents WHERE collection = ?`,
+        [provider.name, provider.model, provider.name, provider.model, name]
+    );
+    const manifest = {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        collection: name,
+        exportedAt: new Date().toISOString(),
+        embedding: { provider: provider.name, model: provider.model, dimension: provider.dimension || collection.faiss.dimension || null },
+        chunking: settings.chunking,
+        index: settings.index,
+        storage: settings.storage,
+        nearDuplicates: settings.nearDuplicates,
+        vectorEncoding: 'float32-base64',
+        documents: documents || 0,
+        omitted: omitted || 0,
+    };
+    yield `${JSON.stringify(manifest)}\n`;
+    let lastId = 0;
+    for (;;) {
+        const rows = await dbAll(
+            `SELECT * FROM documents WHERE collection = ? AND provider = ? AND model = ? AND id > ? ORDER BY id LIMIT ?`,
+            [name, provider.name, provider.model, lastId, PAGE_SIZE]
+        );
+        if (rows.length === 0) break;
+        for (const row of rows) yield `${JSON.stringify(documentRecord(row))}\n`;
+        lastId = rows[rows.length - 1].id;
+    }
+}
+
+/**
+ * Checks a snapshot manifest.
+ * @param {object} manifest - The first line of the snapshot.
+ * @throws {Error} With status 400 if it is not a snapshot this version can read.
+ */
+function checkManifest(manifest) {
+    if (!manifest || manifest.format !== SNAPSHOT_FORMAT) {
+        throw snapshotError('The first line is not a collection snapshot manifest', 400);
+    }
+    if (manifest.version !== SNAPSHOT_VERSION) {
+        throw snapshotError(`Unsupported snapshot version ${manifest.version}`, 400);
+    }
+    const { embedding } = manifest;
+    if (!embedding || !embedding.provider || !embedding.model || !Number.isInteger(embedding.dimension)) {
+        throw snapshotError('The manifest does not name the embedding provider, model and dimension', 400);
+    }
+}
+
+// The collection to import into, created from the manifest's settings if it
+// does not exist; an existing one must use the snapshot's model
+const targetCollection = async (name, manifest) => {
+    const { embedding } = manifest;
+    const existing = getCollection(name);
+    if (!existing) {
+        return addCollection(name, {
+            embedding,
+            chunking: manifest.chunking,
+            index: manifest.index,
+            storage: manifest.storage,
+            nearDuplicates: manifest.nearDuplicates,
+        });
+    }
+    const { provider, faiss } = existing;
+    const dimension = provider.dimension || faiss.dimension;
+    if (provider.name !== embedding.provider || provider.model !== embedding.model) {
+        throw snapshotError(
+            `Collection ${name} uses ${provider.name} (${provider.model}) but the snapshot was embedded with ${embedding.provider} (${embedding.model}); import it into a new collection or migrate one of them first.`,
+            409
+        );
+    }
+    if (dimension && dimension !== embedding.dimension) {
+        throw snapshotError(`Collection ${name} has ${dimension}-dimensional vectors but the snapshot has ${embedding.dimension}.`, 409);
+    }
+    if (existing.state.status !== 'ready') {
+        throw snapshotError(`The index of collection ${name} is ${existing.state.status}.`, 503);
+    }
+    return existing;
+};
+
+// Validates a chunk record and decodes its vector
+const readRecord = (record, dimension) => {
+    if (!record || typeof record.content !== 'string' || !record.content) throw new Error('no content');
+    if (typeof record.vector !== 'string') throw new Error('no vector');
+    const bytes = Buffer.from(record.vector, 'base64');
+    if (bytes.length !== dimension * 4) throw new Error(`vector is ${bytes.length} bytes, expected ${dimension} float32 values`);
+    if (record.metadata !== undefined && (typeof record.metadata !== 'object' || Array.isArray(record.metadata))) {
+        throw new Error('metadata is not an object');
+    }
+    return decodeVector(bytes, dimension);
+};
+
+/**
+ * Imports a snapshot into a collection, creating it if needed.
+ * @param {AsyncIterable<string>} lines - The snapshot's lines, eg from readline.
+ * @param {object} options
+ * @param {string} [options.collection] - The target collection; defaults to the one named in the manifest.
+ * @param {string} [options.mode] - "merge" (default) adds the chunks whose
+ *   content the collection does not have yet; "replace" swaps every chunk of
+ *   the collection for the snapshot's in one transaction, so the old chunks
+ *   stay if the import fails or any record is invalid.
+ * @returns {object} { collection, mode, manifest, imported, duplicates, invalid, errors }.
+ * @throws {Error} With status 400 for a bad manifest or mode, or a replace
+ *   with invalid records, 409 if the collection uses another model or dimension.
+ */
+async function importCollection(lines, { collection: name = null, mode = 'merge' } = {}) {
+    if (!IMPORT_MODES.includes(mode)) throw snapshotError(`Import mode must be one of ${IMPORT_MODES.join(', ')}`, 400);
+    const iterator = lines[Symbol.asyncIterator]();
+    let manifest;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        if (!next.value.trim()) continue;
+        try {
+            manifest = JSON.parse(next.value);
+        } catch (err) {
+            throw snapshotError(`The manifest is not JSON: ${err.message}`, 400);
+        }
+        break;
+    }
+    checkManifest(manifest);
+    const collection = await targetCollection(name || manifest.collection, manifest);
+    const { dimension } = manifest.embedding;
+    const { name: providerName, model } = collection.provider;
+    const report = { collection: collection.name, mode, manifest, imported: 0, duplicates: 0, invalid: 0, errors: [] };
+
+    // searches and ingestion wait until the import is done
+    collection.state.status = 'importing';
+    const replace = mode === 'replace';
+    // a replace first reads and checks the whole snapshot into a temporary
+    // file, so its transaction only waits on that file and not on the client
+    const stagingPath = replace ? path.join(os.tmpdir(), `import-${randomUUID()}.jsonl`) : null;
+    try {
+        const newIds = new Map(); // snapshot id -> id in this database
+        // Inserts a batch of checked records; returns the rows that were new
+        const insertBatch = async (batch) => {
+            const added = [];
+            for (const { record, vector } of batch) {
+                const nearDuplicateOf = newIds.get(record.nearDuplicateOf) ?? null;
+                const result = await dbRun(
+                    `INSERT OR IGNORE INTO documents
+                        (collection, content, vector, provider, model, dimension, source_name, source_path,
+                         chunk_index, char_start, char_end, ingested_at, content_hash, metadata, chunking, near_duplicate_of)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        collection.name, record.content, encodeVector(vector, collection.settings.storage), providerName, model, dimension,
+                        record.sourceName ?? null, record.sourcePath ?? null, record.chunkIndex ?? null, record.charStart ?? null,
+                        record.charEnd ?? null, record.ingestedAt || new Date().toISOString(), hashContent(record.content),
+                        JSON.stringify(record.metadata || {}), record.chunking ? JSON.stringify(record.chunking) : null, nearDuplicateOf,
+                    ]
+                );
+                if (result.changes === 0) {
+                    report.duplicates++;
+                    continue;
+                }
+                if (record.id !== undefined) newIds.set(record.id, result.lastID);
+                added.push({ id: result.lastID, vector, content: record.content });
+            }
+            report.imported += added.length;
+            return added;
+        };
+
+        let batch = [];
+        const flush = async () => {
+            if (replace) {
+                await fs.appendFile(stagingPath, batch.map(({ line }) => `${line}\n`).join(''));
+            } else {
+                const added = await transaction(() => insertBatch(batch));
+                for (const { id, vector, content } of added) collection.addToIndexes(vector, id, content);
+            }
+            batch = [];
+        };
+
+        if (replace) await fs.writeFile(stagingPath, '');
+        let lineNumber = 1;
+        for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+            lineNumber++;
+            if (!next.value.trim()) continue;
+            try {
+                const record = JSON.parse(next.value);
+                batch.push({ record, vector: readRecord(record, dimension), line: next.value });
+            } catch (err) {
+                report.invalid++;
+                if (report.errors.length < MAX_REPORTED_ERRORS) report.errors.push({ line: lineNumber, error: err.message });
+                continue;
+            }
+            if (batch.length >= PAGE_SIZE) await flush();
+        }
+        if (batch.length > 0) await flush();
+
+        if (replace) {
+            if (report.invalid > 0) {
+                const reported = report.errors.map(({ line, error }) => `line ${line}: ${error}`).join('; ');
+                throw snapshotError(`The snapshot has ${report.invalid} invalid records (${reported}); collection ${collection.name} was left as it was.`, 400);
+            }
+            const replaced = await transaction(async () => {
+                await dbRun(`DELETE FROM documents WHERE collection = ?`, [collection.name]);
+                await dbRun(`DELETE FROM sources WHERE collection = ?`, [collection.name]);
+                const added = [];
+                const staged = readline.createInterface({ input: createReadStream(stagingPath), crlfDelay: Infinity });
+                let records = [];
+                for await (const line of staged) {
+                    const record = JSON.parse(line);
+                    records.push({ record, vector: readRecord(record, dimension) });
+                    if (records.length >= PAGE_SIZE) {
+                        added.push(...(await insertBatch(records)));
+                        records = [];
+                    }
+                }
+                added.push(...(await insertBatch(records)));
+                return added;
+            });
+            collection.clearIndexes();
+            for (const { id, vector, content } of replaced) collection.addToIndexes(vector, id, content);
+        }
+    } finally {
+        collection.state.status = 'ready';
+        if (stagingPath) {
+            await fs.unlink(stagingPath).catch(() => {});
+        }
+    }
+    await collection.saveSnapshot();
+    console.log(`Imported ${report.imported} chunks into ${collection.name} (${mode}); ${report.duplicates} duplicates, ${report.invalid} invalid.`);
+    return report;
+}
+
+export { IMPORT_MODES, exportCollection, importCollection };
@@ -0,0 +1,91 @@
+// Script of the web page served at / (see server.js): adds documents, searches,
+// loads the documents folder and counts documents with the API key entered on it
+
+const collection = () => document.getElementById('collection').value || 'default';
+document.getElementById('api-key').value = localStorage.getItem('apiKey') || '';
+
+// fetch with the API key entered above
+const api = (url, options = {}) => fetch(url, {
+    ...options,
+    headers: { ...options.headers, 'Authorization': 'Bearer ' + document.getElementById('api-key').value },
+});
+
+async function addDocument() {
+    const content = document.getElementById('add-content').value;
+    const title = document.getElementById('add-title').value || null;
+    const res = await api('/add', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content, title, collection: collection() })
+    });
+    const data = await res.json();
+    document.getElementById('add-output').innerText = JSON.stringify(data, null, 2);
+}
+
+// Streams /search/stream: sources first, then the answer as it is written
+async function searchDocuments() {
+    const query = document.getElementById('search-query').value;
+    const answer = document.getElementById('search-answer');
+    const sources = document.getElementById('search-sources');
+    answer.innerText = '';
+    sources.innerHTML = '';
+    const res = await api('/search/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, k: 2, collection: collection() })
+    });
+    if (!res.ok) {
+        answer.innerText = JSON.stringify(await res.json(), null, 2);
+        return;
+    }
+    const handlers = {
+        results: (data) => data.results.forEach((result) => {
+            const item = document.createElement('li');
+            if (result.number) item.id = 'source-' + result.number;
+            else item.style.opacity = 0.5; // did not fit in the prompt
+            item.innerText = (result.sourceName || 'Document ' + result.docId) + ' (' + result.score.toFixed(3) + '): ' + result.snippet.text;
+            sources.appendChild(item);
+        }),
+        token: (data) => { answer.innerText += data.text; },
+        done: (data) => data.citations.forEach((citation) => {
+            document.getElementById('source-' + citation.number).style.fontWeight = 'bold';
+        }),
+        error: (data) => { answer.innerText += '\n' + data.error + ' ' + data.details; },
+    };
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        for (const event of events) {
+            const name = event.match(/^event: (.*)$/m)[1];
+            const data = JSON.parse(event.match(/^data: (.*)$/m)[1]);
+            handlers[name](data);
+        }
+    }
+}
+
+// Queues a sync job and polls it until it finishes
+async function loadDocuments() {
+    const output = document.getElementById('documents-output');
+    const res = await api('/load-documents?collection=' + encodeURIComponent(collection()));
+    const data = await res.json();
+    output.innerText = JSON.stringify(data, null, 2);
+    if (!data.job) return;
+    let job = data.job;
+    while (job.status === 'queued' || job.status === 'running') {
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        job = await (await api('/jobs/' + job.id)).json();
+        output.innerText = job.status + ': ' + job.progress.done + ' of ' + job.progress.files + ' files, '
+            + job.progress.chunksDone + ' chunks stored\n' + JSON.stringify(job.totals, null, 2);
+    }
+    output.innerText = JSON.stringify(job, null, 2);
+}
+async function countDocuments() {
+    const res = await api('/count-documents?collection=' + encodeURIComponent(collection()));
+    const data = await res.json();
+    document.getElementById('documents-count').innerHTML = JSON.stringify(data, null, 2);
+}
@@ -0,0 +1,171 @@
+// Vector compression, for the SQLite BLOBs and the in-memory index (faiss.js).
+//   int8 - scalar quantization: each component stored as a signed byte times
+//          one float32 scale per vector, a quarter of the float32 size
+//   pq   - product quantization: the vector is cut into m subvectors and each
+//          is replaced by the id of the nearest of 256 centroids learned for
+//          its subspace with k-means, one byte per subvector
+// Scores computed from compressed vectors are approximate; the collections can
+// re-score the best candidates against the stored vectors (see collections.js).
+
+const VECTOR_FORMATS = ['float32', 'int8'];
+
+// Largest scale that keeps every component within a signed byte
+const int8Scale = (vector) => {
+    let max = 0;
+    for (let i = 0; i < vector.length; i++) max = Math.max(max, Math.abs(vector[i]));
+    return max > 0 ? max / 127 : 1;
+};
+
+/**
+ * Writes int8 codes for a vector into `codes` at `offset`.
+ * @param {ArrayLike<number>} vector - The vector.
+ * @param {Int8Array} codes - Where the codes go.
+ * @param {number} [offset] - The first code's position.
+ * @returns {number} The scale to multiply the codes by.
+ */
+function int8Encode(vector, codes, offset = 0) {
+    const scale = int8Scale(vector);
+    for (let i = 0; i < vector.length; i++) codes[offset + i] = Math.round(vector[i] / scale);
+    return scale;
+}
+
+/**
+ * Converts a vector to a BLOB for the documents table. float32 BLOBs are the
+ * raw components, as always; int8 BLOBs are a float32 scale followed by one
+ * byte per component.
+ * @param {ArrayLike<number>} vector - The vector.
+ * @param {string} [format] - "float32" or "int8".
+ * @returns {Buffer} The BLOB.
+ */
+function encodeVector(vector, format = 'float32') {
+    if (format === 'int8') {
+        const buffer = Buffer.alloc(4 + vector.length);
+        const codes = new Int8Array(buffer.buffer, buffer.byteOffset + 4, vector.length);
+        buffer.writeFloatLE(int8Encode(vector, codes), 0);
+        return buffer;
+    }
+    return Buffer.from(new Float32Array(vector).buffer);
+}
+
+/**
+ * Reads a BLOB written by encodeVector; its length tells the two formats apart.
+ * @param {Buffer} blob - The BLOB.
+ * @param {number} [dimension] - The vector's dimension; rows without one are float32.
+ * @returns {Float32Array} The vector.
+ */
+function decodeVector(blob, dimension = null) {
+    if (dimension && blob.length === dimension + 4) {
+        const scale = blob.readFloatLE(0);
+        const vector = new Float32Array(dimension);
+        for (let i = 0; i < dimension; i++) vector[i] = blob.readInt8(4 + i) * scale;
+        return vector;
+    }
+    // copy, since a Buffer's offset into its pool need not be 4-byte aligned
+    return new Float32Array(new Uint8Array(blob).buffer);
+}
+
+/**
+ * The number of PQ subvectors to use by default: about one per 8 dimensions,
+ * adjusted to divide the dimension evenly.
+ * @param {number} dimension - The vector dimension.
+ * @returns {number} The number of subvectors.
+ */
+function defaultSubvectors(dimension) {
+    for (let m = Math.max(1, Math.floor(dimension / 8)); m > 1; m--) {
+        if (dimension % m === 0) return m;
+    }
+    return 1;
+}
+
+/**
+ * Learns PQ codebooks with k-means in each subspace.
+ * @param {Float32Array} vectors - Training vectors, one after another.
+ * @param {number} count - The number of training vectors.
+ * @param {number} dimension - Their dimension.
+ * @param {number} m - The number of subvectors; must divide the dimension.
+ * @param {object} random - A seeded generator with next() (see faiss.js).
+ * @param {object} [options]
+ * @param {number} [options.centroids] - Centroids per subspace, at most 256.
+ * @param {number} [options.iterations] - k-means iterations.
+ * @returns {Float32Array} The centroids: subspace by subspace, centroid by
+ *   centroid, dimension / m components each. Subspaces get fewer than 256
+ *   centroids only when there are fewer training vectors.
+ */
+function trainCodebooks(vectors, count, dimension, m, random, { centroids = 256, iterations = 10 } = {}) {
+    const sub = dimension / m;
+    const k = Math.min(centroids, count);
+    const codebooks = new Float32Array(m * 256 * sub);
+    const sums = new Float64Array(k * sub);
+    const sizes = new Uint32Array(k);
+    for (let j = 0; j < m; j++) {
+        const book = codebooks.subarray(j * 256 * sub, (j + 1) * 256 * sub);
+        const part = (n) => vectors.subarray(n * dimension + j * sub, n * dimension + (j + 1) * sub);
+        // start from k distinct training vectors picked at random
+        const order = Array.from({ length: count }, (_, n) => n);
+        for (let c = 0; c < k; c++) {
+            const pick = c + Math.floor(random.next() * (count - c));
+            [order[c], order[pick]] = [order[pick], order[c]];
+            book.set(part(order[c]), c * sub);
+        }
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            sums.fill(0);
+            sizes.fill(0);
+            for (let n = 0; n < count; n++) {
+                const x = part(n);
+                let best = 0;
+                let bestDistance = Infinity;
+                for (let c = 0; c < k; c++) {
+                    let distance = 0;
+                    for (let d = 0; d < sub; d++) {
+                        const diff = x[d] - book[c * sub + d];
+                        distance += diff * diff;
+                    }
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = c;
+                    }
+                }
+                sizes[best]++;
+                for (let d = 0; d < sub; d++) sums[best * sub + d] += x[d];
+            }
+            for (let c = 0; c < k; c++) {
+                // an empty cluster keeps its centroid
+                if (sizes[c] === 0) continue;
+                for (let d = 0; d < sub; d++) book[c * sub + d] = sums[c * sub + d] / sizes[c];
+            }
+        }
+    }
+    return codebooks;
+}
+
+/**
+ * Writes the PQ codes for a vector into `codes` at `offset`.
+ * @param {ArrayLike<number>} vector - The vector.
+ * @param {Float32Array} codebooks - From trainCodebooks.
+ * @param {number} m - The number of subvectors.
+ * @param {number} centroids - The centroids in use per subspace.
+ * @param {Uint8Array} codes - Where the codes go.
+ * @param {number} [offset] - The first code's position.
+ */
+function pqEncode(vector, codebooks, m, centroids, codes, offset = 0) {
+    const sub = vector.length / m;
+    for (let j = 0; j < m; j++) {
+        const base = j * 256 * sub;
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let c = 0; c < centroids; c++) {
+            let distance = 0;
+            for (let d = 0; d < sub; d++) {
+                const diff = vector[j * sub + d] - codebooks[base + c * sub + d];
+                distance += diff * diff;
+            }
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = c;
+            }
+        }
+        codes[offset + j] = best;
+    }
+}
+
+export { VECTOR_FORMATS, int8Encode, encodeVector, decodeVector, defaultSubvectors, trainCodebooks, pqEncode };
@@ -1,12 +1,29 @@
 import express from 'express';
-import sqlite3 from 'sqlite3'; // SQLite for storing metadata and documents
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { get } from 'http';
+import readline from 'readline';
 
-import {  getEmbeddings, getAnswer, processTextFile } from './embed.js';
-import { add } from 'mathjs';
+import {  getEmbeddings, embedTexts, EMBEDDING_BATCH_SIZE, EMBEDDING_CONCURRENCY, assembleContext, getAnswer, streamAnswer, checkFaithfulness, rewriteQuestion, processTextFile, chunkingSettings } from './embed.js';
+import { CHUNKING_STRATEGIES } from './chunking.js';
+import { db, dbRun, dbGet, dbAll, transaction, hashContent, initializeDatabase } from './db.js';
+import {
+    DEFAULT_COLLECTION, loadCollections, getCollection, listCollections, addCollection, dropCollection, indexStats,
+} from './collections.js';
+import { compileFilter } from './filter.js';
+import { getLoader } from './loaders.js';
+import { highlightSnippet } from './keyword.js';
+import { createSession, getSession, listSessions, sessionTurns, addTurn, deleteSession } from './sessions.js';
+import { getTemplate, listTemplates, saveTemplate, deleteTemplate } from './templates.js';
+import { registerJobType, createJob, getJob, listJobs, cancelJob, resumeJob, recoverJobs } from './jobs.js';
+import { startMigration } from './migrate.js';
+import { cacheStats, clearCache } from './cache.js';
+import { encodeVector } from './quantize.js';
+import { exportCollection, importCollection } from './portable.js';
+import { parseQuestions, runEvaluation, getEvaluation, listEvaluations, deleteEvaluation, compareEvaluations } from './evaluation.js';
+import {
+    authenticate, authorize, createKey, getKey, listKeys, updateKey, revokeKey, initializeAuth, listAudit,
+} from './auth.js';
 
 
 
@@ -15,270 +32,1434 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+// The page's script and any other static files
+app.use(express.static(path.join(__dirname, 'public')));
+// Until startup has finished (the schema, the bootstrap API key, job recovery
+// and every collection's index) only the page and /health are served; other
+// requests get 503 rather than a half-initialized server
+let started = false;
+let startupError = null; // the failed step's message once startup has failed
+app.use((req, res, next) => {
+    if (started || (req.method === 'GET' && ['/', '/health'].includes(req.path))) return next();
+    res.set('Retry-After', 5).status(503).json({
+        error: startupError ? 'The server failed to start.' : 'The server is starting.',
+        details: startupError || undefined,
+    });
+});
+// API keys, rate limits and the audit log (see auth.js); bodies are only
+// parsed for requests with a valid key
+app.use(authenticate);
 app.use(express.json());
 
-// Initialize SQLite database
-const db = new sqlite3.Database('./vectors.db', (err) => {
-    if (err) {
-        console.error('Error opening SQLite database:', err);
-    } else {
-        console.log('SQLite database connected.');
-        db.run(`
-            CREATE TABLE IF NOT EXISTS documents (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                content TEXT UNIQUE,
-                vector BLOB
-            )
-        `);
-    }
-});
-
-// FAISS mock implementation with cosine similarity
-const FAISS = {
-    index: [],
-
-    add: (vector, docId) => {
-        FAISS.index.push({ vector, docId });
-        console.log(`Added document with ID ${docId} to FAISS index. vector: ${vector[0]}`);
-    },
-
-    search: (queryVector, k) => {
-        const cosineSimilarity = (vecA, vecB) => {
-            const dotProduct = vecA.reduce((sum, val, i) => sum + val * vecB[i], 0);
-            const magnitudeA = Math.sqrt(vecA.reduce((sum, val) => sum + val ** 2, 0));
-            const magnitudeB = Math.sqrt(vecB.reduce((sum, val) => sum + val ** 2, 0));
-            return dotProduct / (magnitudeA * magnitudeB);
-        };
-        if (FAISS.index.length === 0) return [];
-        const results = FAISS.index.map((item) => ({
-            docId: item.docId,
-            score: cosineSimilarity(queryVector, item.vector),
-        }));
-
-        return results
-            .sort((a, b) => b.score - a.score)
-            .slice(0, k);
-    },
+// Provenance fields of a documents row, as returned by the API
+const documentDetails = (row) => ({
+    collection: row.collection,
+    sourceName: row.source_name,
+    sourcePath: row.source_path,
+    chunkIndex: row.chunk_index,
+    charStart: row.char_start,
+    charEnd: row.char_end,
+    ingestedAt: row.ingested_at,
+    contentHash: row.content_hash,
+    metadata: row.metadata ? JSON.parse(row.metadata) : {},
+    chunking: row.chunking ? JSON.parse(row.chunking) : null,
+    nearDuplicateOf: row.near_duplicate_of ?? null,
+});
+
+// Chunking settings for an ingest request. Settings the request leaves out
+// come from `base` (the collection's), unless it picks a different strategy,
+// which brings that strategy's own defaults from the environment.
+const parseChunking = (input = {}, base = {}) => {
+    const error = (message) => Object.assign(new Error(message), { status: 400 });
+    if (input.strategy && !CHUNKING_STRATEGIES.includes(input.strategy)) {
+        throw error(`Chunking strategy must be one of ${CHUNKING_STRATEGIES.join(', ')}`);
+    }
+    const given = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    const inherited = !given.strategy || given.strategy === base.strategy ? base : {};
+    let settings;
+    try {
+        settings = chunkingSettings({ ...inherited, ...given });
+    } catch (err) {
+        throw error(err.message);
+    }
+    if (!(settings.size > 0) || !(settings.overlap >= 0) || settings.overlap >= settings.size) {
+        throw error('Chunk size must be positive and larger than the overlap');
+    }
+    return settings;
 };
 
-// sync FAISS
-const synchronizeFAISS = () => {
-    // check if the table exists and if it has any documents
-    db.get(`SELECT COUNT(*) as count FROM documents`, (err, row) => {
-        if (err) {
-            console.error('Error checking for existing documents:', err);
-            return;
-        }
-    // if no documents, return  
-        if (row.count === 0) {
-            console.log('No documents found in SQLite database.');
-            return;
-        }
-    // if documents exist, retrieve them and add to FAISS index
+// The key whose sessions and jobs a request may use: its own key, or null for
+// any of them when it is an admin key or authentication is off
+const keyOwner = (req) => (req.apiKey && req.apiKey.role !== 'admin' ? req.apiKey.id : null);
 
-        db.all(`SELECT id, vector FROM documents`, [], (err, rows) => {
-            if (err) {
-                console.error('Error synchronizing FAISS with SQLite:', err);
-                return;
-            }
+// Finds the conversation session a request continues, from the :id route
+// parameter or a "sessionId" body field, if there is one. Another key's
+// session is reported as not found.
+const resolveSession = async (req, res, next) => {
+    const id = req.params.id || (req.body && req.body.sessionId);
+    if (!id) return next();
+    try {
+        req.conversation = await getSession(id);
+    } catch (err) {
+        console.error('Error fetching session:', err);
+        return res.status(500).json({ error: 'Error fetching session.', details: err.message });
+    }
+    const owner = keyOwner(req);
+    if (!req.conversation || (owner && req.conversation.apiKeyId !== owner)) {
+        return res.status(404).json({ error: `Session ${id} not found.` });
+    }
+    next();
+};
 
-            rows.forEach((row) => {
-                const vector = Array.from(new Float32Array(row.vector.buffer)); // Convert blob back to vector
-                console.log("FAISS retrieve from SQL vector", vector[0]);
-                FAISS.add(vector, row.id); // Add to FAISS index
-            });
+// Finds the job of the :id route parameter; another key's job is reported as not found
+const resolveJob = async (req, res, next) => {
+    try {
+        req.job = await getJob(req.params.id);
+    } catch (err) {
+        console.error('Error fetching job:', err);
+        return res.status(500).json({ error: 'Error fetching job.', details: err.message });
+    }
+    const owner = keyOwner(req);
+    if (!req.job || (owner && req.job.apiKeyId !== owner)) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    next();
+};
 
-            console.log(`Synchronized FAISS with ${rows.length} documents from SQLite.`);
-    });
-    });
+// Finds the collection a request targets: the session's collection, the
+// "collection" query parameter or body field, or the default collection
+const resolveCollection = (req, res, next) => {
+    const name = req.conversation?.collection || req.query.collection || (req.body && req.body.collection) || DEFAULT_COLLECTION;
+    req.collection = getCollection(name);
+    if (!req.collection) return res.status(404).json({ error: `Collection ${name} not found.` });
+    next();
 };
 
+// Rejects requests that need FAISS until the collection's index is synchronized
+const requireReadyIndex = [resolveCollection, (req, res, next) => {
+    const { state } = req.collection;
+    if (state.status === 'ready') return next();
+    res.status(503).json({ error: 'Index is not ready.', collection: req.collection.name, status: state.status });
+}];
+
+// Status of a collection's index, as reported by /health and /collections
+const collectionStatus = (collection) => ({
+    name: collection.name,
+    status: collection.state.status,
+    error: collection.state.error || undefined,
+    documents: collection.faiss.size,
+    index: collection.faiss.type,
+    quantization: collection.faiss.quantization,
+    provider: collection.provider.name,
+    model: collection.provider.model,
+});
+
+// Readiness check: 200 once every collection's FAISS is loaded, 503 while
+// loading or after a failure
+app.get('/health', (req, res) => {
+    const statuses = listCollections().map(collectionStatus);
+    let status = 'loading';
+    if (startupError || statuses.some((collection) => collection.status === 'error')) status = 'error';
+    else if (statuses.length > 0 && statuses.every((collection) => collection.status === 'ready')) status = 'ready';
+    res.status(status === 'ready' ? 200 : 503).json({ status, error: startupError || undefined, collections: statuses });
+});
+
+// List collections with their settings and index status
+app.get('/collections', authorize('read'), (req, res) => {
+    res.json(listCollections().map((collection) => ({ ...collectionStatus(collection), settings: collection.settings })));
+});
+
+// Create a collection: { name, embedding: { provider, model, dimension },
+// chunking: { strategy, size, overlap }, index: { type, M, efConstruction,
+// efSearch, exactThreshold, quantization, pqSubvectors, pqTrainSize, rescore },
+// storage, nearDuplicates }. Anything left out comes from the environment.
+app.post('/collections', authorize('admin'), async (req, res) => {
+    const { name, embedding = {}, chunking = {}, index = {}, storage, nearDuplicates = {} } = req.body;
+    try {
+        const collection = await addCollection(name, { embedding, chunking: parseChunking(chunking), index, storage, nearDuplicates });
+        res.status(201).json({ message: 'Collection created.', ...collectionStatus(collection), settings: collection.settings });
+    } catch (err) {
+        console.error('Error creating collection:', err);
+        res.status(err.status || 500).json({ error: 'Error creating collection.', details: err.message });
+    }
+});
+
+// Drop a collection and everything in it
+app.delete('/collections/:name', authorize('admin'), async (req, res) => {
+    try {
+        const removed = await dropCollection(req.params.name);
+        res.json({ message: `Dropped collection ${req.params.name} and its ${removed} chunks.`, removed });
+    } catch (err) {
+        console.error('Error dropping collection:', err);
+        res.status(err.status || 500).json({ error: 'Error dropping collection.', details: err.message });
+    }
+});
+
+// Memory and disk taken by a collection's vectors, and the recall@k of its
+// index measured on ?sample= (default 20, at most 200) of its own chunks,
+// kept until the collection next changes
+app.get('/collections/:name/stats', authorize('read'), async (req, res) => {
+    const collection = getCollection(req.params.name);
+    if (!collection) return res.status(404).json({ error: `Collection ${req.params.name} not found.` });
+    if (collection.state.status !== 'ready') {
+        return res.status(503).json({ error: 'Index is not ready.', collection: collection.name, status: collection.state.status });
+    }
+    const sample = req.query.sample === undefined ? 20 : Number(req.query.sample);
+    const k = req.query.k === undefined ? 10 : Number(req.query.k);
+    if (!Number.isInteger(sample) || sample < 0 || sample > 200) {
+        return res.status(400).json({ error: 'sample must be an integer from 0 to 200' });
+    }
+    if (!Number.isInteger(k) || k < 1 || k > 100) {
+        return res.status(400).json({ error: 'k must be an integer from 1 to 100' });
+    }
+    try {
+        res.json({ ...collectionStatus(collection), ...(await indexStats(collection, { sample, k })) });
+    } catch (err) {
+        console.error('Error measuring index:', err);
+        res.status(500).json({ error: 'Error measuring index.', details: err.message });
+    }
+});
+
+// Download a collection as a portable snapshot (see portable.js): JSONL with a
+// manifest line, then one line per chunk with its vector
+app.get('/collections/:name/export', authorize('admin'), async (req, res) => {
+    const collection = getCollection(req.params.name);
+    if (!collection) return res.status(404).json({ error: `Collection ${req.params.name} not found.` });
+    if (collection.state.status !== 'ready') {
+        return res.status(503).json({ error: 'Index is not ready.', collection: collection.name, status: collection.state.status });
+    }
+    try {
+        for await (const line of exportCollection(collection)) {
+            if (!res.headersSent) {
+                res.setHeader('Content-Type', 'application/x-ndjson');
+                res.setHeader('Content-Disposition', `attachment; filename="${collection.name}.jsonl"`);
+            }
+            // wait for the client to catch up, and stop if it goes away
+            if (!res.write(line)) await new Promise((resolve) => res.once('drain', resolve).once('close', resolve));
+            if (res.destroyed) return;
+        }
+        res.end();
+    } catch (err) {
+        console.error('Error exporting collection:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({ error: 'Error exporting collection.', details: err.message });
+    }
+});
+
+// Load a snapshot from /collections/:name/export, sent as the request body
+// (application/x-ndjson), into this collection, which is created from the
+// manifest's settings if it does not exist. ?mode=merge (default) keeps the
+// chunks already there, ?mode=replace swaps them for the snapshot's in one
+// transaction and keeps them if any record is invalid.
+app.post('/collections/:name/import', authorize('admin'), async (req, res) => {
+    const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+    try {
+        const { manifest, ...report } = await importCollection(lines, { collection: req.params.name, mode: req.query.mode || 'merge' });
+        res.json({ message: `Imported ${report.imported} chunks into ${report.collection}.`, ...report, from: manifest.collection, embedding: manifest.embedding });
+    } catch (err) {
+        console.error('Error importing collection:', err);
+        res.status(err.status || 500).json({ error: 'Error importing collection.', details: err.message });
+    } finally {
+        lines.close();
+    }
+});
+
+// Re-embed a collection with another model in the background: { embedding: { provider, model, dimension } }.
+// Searches keep using the current model until the job has re-embedded every chunk.
+app.post('/collections/:name/migrate', authorize('admin'), async (req, res) => {
+    const collection = getCollection(req.params.name);
+    if (!collection) return res.status(404).json({ error: `Collection ${req.params.name} not found.` });
+    try {
+        const job = await startMigration(collection, req.body.embedding);
+        res.status(202).json({ message: 'Migration job queued.', job });
+    } catch (err) {
+        console.error('Error starting migration:', err);
+        res.status(err.status || 500).json({ error: 'Error starting migration.', details: err.message });
+    }
+});
+
+// Size of the embedding cache per model, and hits and misses since startup
+app.get('/embedding-cache', authorize('admin'), async (req, res) => {
+    try {
+        res.json(await cacheStats());
+    } catch (err) {
+        console.error('Error reading embedding cache:', err);
+        res.status(500).json({ error: 'Error reading embedding cache.', details: err.message });
+    }
+});
+
+// Empty the cache, or only ?model= or vectors not used since ?unusedSince=<ISO date>
+app.delete('/embedding-cache', authorize('admin'), async (req, res) => {
+    try {
+        const { model = null, unusedSince = null } = req.query;
+        const removed = await clearCache({ model, unusedSince });
+        res.json({ message: `Removed ${removed} cached vectors.`, removed });
+    } catch (err) {
+        console.error('Error clearing embedding cache:', err);
+        res.status(500).json({ error: 'Error clearing embedding cache.', details: err.message });
+    }
+});
+
 
 // Mock vectorization function
 //async function vectorize(text) {
 //   return text.split('').map((char) => char.charCodeAt(0) % 10); // Mock vector
 //}
 
-app.post('/add', async (req, res) => {
-    const { content } = req.body;
-    if (!content) return res.status(400).json({ error: 'Content is required' });
-    try {
-        let chunks = await processTextFile(content, 1000);
-        for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
-            // get filename and strip of extension for chunk name
-            let file = `chunks${i}.txt`;
-            const chunkName = `${file.split('.').slice(0, -1).join('.')}_chunk_${i + 1}`;
-            console.log(`Processing chunk: ${chunkName}`);
-            // Write to SQLite and FAISS
-            let documentResult = await addDocumentToDB(chunk, chunkName)
-            if (documentResult.changes > 0) {
-                res.json({ message: 'Document already exists.' });
+/**
+ * Chunks loaded documents and stores every chunk in a collection.
+ * @param {object} collection - The collection (see collections.js).
+ * @param {object[]} documents - Documents from a loader (see loaders.js).
+ * @param {object} [source] - Provenance shared by all its chunks.
+ * @param {string} [source.sourceName] - File name or title.
+ * @param {string} [source.sourcePath] - Path of the source file, relative to the server.
+ * @param {object} [source.metadata] - User-supplied metadata, merged under each document's own.
+ * @param {object} [source.chunking] - Chunking settings from parseChunking; defaults to the collection's.
+ * @param {AbortSignal} [source.signal] - Stops between embedding batches, eg when a job is cancelled.
+ * @param {function(number, number): Promise} [source.onProgress] - Called with the chunks stored so far and the total.
+ * @returns {object[]} The addDocumentToDB result for each chunk.
+ */
+async function ingestDocuments(collection, documents, {
+    sourceName = null,
+    sourcePath = null,
+    metadata = {},
+    chunking = collection.settings.chunking,
+    signal = null,
+    onProgress = null,
+} = {}) {
+    // chunks already stored for this source are about to be replaced, so a new
+    // chunk is never a near-duplicate of its own earlier version
+    const column = sourcePath ? 'source_path' : 'source_name';
+    const previousIds = sourcePath || sourceName
+        ? (await dbAll(`SELECT id FROM documents WHERE collection = ? AND ${column} = ?`, [collection.name, sourcePath || sourceName])).map((row) => row.id)
+        : [];
+    const ignoreIds = new Set(previousIds);
+    const chunks = [];
+    for (const document of documents) {
+        // offsets are only meaningful when the loader knows where its text
+        // sits in the original file
+        const hasOffset = document.offset !== null && document.offset !== undefined;
+        for (const chunk of await processTextFile(document.text, chunking, collection.provider)) {
+            chunks.push({
+                text: chunk.text,
+                details: {
+                    sourceName,
+                    sourcePath,
+                    chunkIndex: chunks.length,
+                    charStart: hasOffset ? document.offset + chunk.start : null,
+                    charEnd: hasOffset ? document.offset + chunk.end : null,
+                    metadata: { ...metadata, ...document.metadata },
+                    chunking,
+                    ignoreIds,
+                },
+            });
+        }
+    }
+
+    // Embed EMBEDDING_BATCH_SIZE chunks per request, EMBEDDING_CONCURRENCY
+    // requests at a time, then write the batches to SQLite and FAISS in order
+    const batches = [];
+    for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) batches.push(chunks.slice(i, i + EMBEDDING_BATCH_SIZE));
+    const results = [];
+    if (onProgress) await onProgress(0, chunks.length);
+    for (let i = 0; i < batches.length; i += EMBEDDING_CONCURRENCY) {
+        signal?.throwIfAborted();
+        const window = batches.slice(i, i + EMBEDDING_CONCURRENCY);
+        const vectors = await Promise.all(window.map((batch) => embedMissing(collection, batch.map((chunk) => chunk.text), signal)));
+        for (const [b, batch] of window.entries()) {
+            for (const chunk of batch) {
+                results.push(await addDocumentToDB(collection, chunk.text, { ...chunk.details, vector: vectors[b].get(chunk.text) }));
             }
-        } 
-        res.json({ message: 'Document added.'});
+        }
+        if (onProgress) await onProgress(results.length, chunks.length);
     }
-    catch (err) {
-        res.status(500).json({ error: 'Error processing document.' });
+    return results;
+}
+
+// Embeds the texts the collection has no vector for from its provider yet, in
+// one request; returns a map from text to vector
+async function embedMissing(collection, texts, signal) {
+    const { name, model } = collection.provider;
+    const stored = await dbAll(
+        `SELECT content FROM documents WHERE collection = ? AND provider = ? AND model = ? AND content IN (${texts.map(() => '?').join(',')})`,
+        [collection.name, name, model, ...texts]
+    );
+    const have = new Set(stored.map((row) => row.content));
+    const missing = [...new Set(texts.filter((text) => !have.has(text)))];
+    if (missing.length === 0) return new Map();
+    const vectors = await embedTexts(missing, collection.provider, { signal });
+    return new Map(missing.map((text, i) => [text, vectors[i]]));
+}
+
+// Whether an addDocumentToDB result stored a new chunk (or a new vector for one)
+const storedChunk = (result) => result.message !== 'Document already exists.' && result.message !== 'Near-duplicate skipped.';
+
+// Runs the loader for a file extension or content type over some content
+const loadContent = async (content, { extension, contentType, options = {} }) => {
+    const loader = getLoader({ extension, contentType });
+    if (!loader) {
+        const error = new Error(`No loader for ${contentType || extension || 'files without an extension'}`);
+        error.status = 415;
+        throw error;
     }
-});
+    return loader(Buffer.isBuffer(content) ? content.toString('utf-8') : content, options);
+};
+
+// Deletes the matching rows from SQLite and from their collections' in-memory indexes
+async function removeDocuments(where, params) {
+    const rows = await dbAll(`SELECT id, content, collection FROM documents WHERE ${where}`, params);
+    if (rows.length === 0) return [];
+    await dbRun(`DELETE FROM documents WHERE id IN (${rows.map(() => '?').join(',')})`, rows.map((row) => row.id));
+    rows.forEach((row) => getCollection(row.collection)?.removeFromIndexes(row.id, row.content));
+    return rows.map((row) => row.id);
+}
 
-// Get document count
-app.get('/count-documents', (req, res) => {
-    console.log("Counting documents...");
+// Re-chunks a source's documents and drops the chunks it no longer produces. Chunks whose
+// text is unchanged are kept as they are, so only new text is embedded.
+async function reindexSource(collection, documents, { sourceName, sourcePath, metadata, chunking, signal, onProgress }) {
+    const results = await ingestDocuments(collection, documents, { sourceName, sourcePath, metadata, chunking, signal, onProgress });
+    const keep = results.map((result) => result.docId).filter((docId) => docId !== undefined);
+    const column = sourcePath ? 'source_path' : 'source_name';
+    const removed = await removeDocuments(
+        `collection = ? AND ${column} = ? AND id NOT IN (${keep.map(() => '?').join(',') || 'NULL'})`,
+        [collection.name, sourcePath || sourceName, ...keep]
+    );
+    return { results, removed };
+}
 
-    // Step 1: Retrieve all vectors and log them
-    db.all(`SELECT id, vector FROM documents`, [], (err, rows) => {
-        if (err) {
-            console.error("Error retrieving documents:", err);
-            return res.status(500).json({ error: 'Error retrieving documents.' });
+const isMetadataObject = (metadata) => typeof metadata === 'object' && metadata !== null && !Array.isArray(metadata);
+
+// The collection a job ingests into; throws 404 once it is dropped, 503 until its index is ready
+const jobCollection = (job) => {
+    const collection = getCollection(job.collection);
+    if (!collection) throw Object.assign(new Error(`Collection ${job.collection} not found.`), { status: 404 });
+    if (collection.state.status !== 'ready') {
+        throw Object.assign(new Error(`The index of collection ${job.collection} is not ready.`), { status: 503 });
+    }
+    return collection;
+};
+
+// An /add request run as a background job; its one file holds the content
+registerJobType('add', async (job, { content }, { signal, progress }) => {
+    const collection = jobCollection(job);
+    const { title, metadata, contentType, loaderOptions, chunking } = job.params;
+    const documents = await loadContent(content, { contentType, options: loaderOptions });
+    const results = await ingestDocuments(collection, documents, { sourceName: title, metadata, chunking, signal, onProgress: progress });
+    return {
+        chunks: results.length,
+        chunksAdded: results.filter(storedChunk).length,
+        nearDuplicates: results.filter((result) => result.nearDuplicateOf).length,
+    };
+});
+
+// Add a document. Either JSON { content, title, metadata, contentType, loaderOptions, chunking, collection, background },
+// or a file uploaded as the raw request body with its own Content-Type (eg
+// text/html, text/markdown, text/csv, application/x-ndjson) and the title,
+// metadata (as JSON), chunkStrategy, chunkSize, chunkOverlap, collection,
+// background and loader options in the query string. With background set the
+// document is ingested by a job (see jobs.js) and the response is the queued job.
+app.post('/add', express.raw({ type: (req) => !req.is('application/json'), limit: '20mb' }), authorize('ingest'), requireReadyIndex, async (req, res) => {
+    const upload = Buffer.isBuffer(req.body);
+    let content, title, metadata, contentType, loaderOptions, chunking, background;
+    if (upload) {
+        const { title: queryTitle = null, metadata: queryMetadata, chunkStrategy, chunkSize, chunkOverlap, collection, background: queryBackground, ...options } = req.query;
+        content = req.body;
+        title = queryTitle;
+        background = queryBackground === 'true';
+        contentType = req.get('Content-Type');
+        loaderOptions = options;
+        chunking = { strategy: chunkStrategy, size: chunkSize, overlap: chunkOverlap };
+        try {
+            metadata = queryMetadata ? JSON.parse(queryMetadata) : {};
+        } catch (err) {
+            return res.status(400).json({ error: 'Metadata must be a JSON object' });
         }
+    } else {
+        ({ content, title = null, metadata = {}, contentType = 'text/plain', loaderOptions = {}, chunking = {}, background = false } = req.body);
+    }
+    if (!content || content.length === 0) return res.status(400).json({ error: 'Content is required' });
+    if (!isMetadataObject(metadata)) {
+        return res.status(400).json({ error: 'Metadata must be a JSON object' });
+    }
+    try {
+        const settings = parseChunking(chunking, req.collection.settings.chunking);
+        if (background) {
+            const params = { title, metadata, contentType, loaderOptions, chunking: settings };
+            const job = await createJob('add', req.collection.name, params, [{ file: title || 'untitled document', action: 'add', content }]);
+            return res.status(202).json({ message: 'Ingestion job queued.', job });
+        }
+        const documents = await loadContent(content, { contentType, options: loaderOptions });
+        const results = await ingestDocuments(req.collection, documents, { sourceName: title, metadata, chunking: settings });
+        const added = results.filter(storedChunk).length;
+        const skipped = results.some((result) => result.message === 'Near-duplicate skipped.');
+        res.json({ message: added > 0 ? 'Document added.' : skipped ? 'Near-duplicate skipped.' : 'Document already exists.', results });
+    }
+    catch (err) {
+        console.error('Error processing document:', err);
+        res.status(err.status || 500).json({ error: 'Error processing document.', details: err.message });
+    }
+});
 
-        rows.forEach((row) => {
-            try {
-                // Convert blob back to Float32Array
-                const vector = Array.from(new Float32Array(row.vector.buffer));
-                console.log(`Document ID: ${row.id}, Vector: ${JSON.stringify(vector[0])}`);
-            } catch (conversionError) {
-                console.error(`Error converting vector for Document ID: ${row.id}`, conversionError);
-            }
-        });
-    });
+// Get the document count of a collection
+app.get('/count-documents', authorize('read'), resolveCollection, (req, res) => {
+    const { name } = req.collection;
+    console.log(`Counting documents in ${name}...`);
 
-    // Step 2: Count the total number of documents
-    db.get(`SELECT COUNT(*) as count FROM documents`, (err, row) => {
+    db.get(`SELECT COUNT(*) as count FROM documents WHERE collection = ?`, [name], (err, row) => {
         if (err) {
             console.error("Error retrieving document count:", err);
             return res.status(500).json({ error: 'Error retrieving count.' });
         }
 
-        res.json({ count: row.count });
+        res.json({ collection: name, count: row.count });
     });
 });
 
 
-// Load all documents from folder
-app.get('/load-documents', async (req, res) => {
-    const folderPath = path.join(__dirname, 'documents');
+// One file of a /load-documents job: "sync" ingests the file if it is new or
+// changed, "remove" drops the chunks of a file that is gone and "skip" notes
+// a file no loader can read
+registerJobType('load-documents', async (job, { file: sourcePath, action }, { signal, progress }) => {
+    const collection = jobCollection(job);
+    const { chunking } = job.params;
+    const chunkingJSON = JSON.stringify(chunking);
+    if (action === 'skip') return { status: 'skipped' };
+    if (action === 'remove') {
+        console.log(`Removing ${sourcePath}...`);
+        const removed = await removeDocuments(`collection = ? AND source_path = ?`, [collection.name, sourcePath]);
+        await dbRun(`DELETE FROM sources WHERE collection = ? AND source_path = ?`, [collection.name, sourcePath]);
+        return { status: 'removed', chunksRemoved: removed.length };
+    }
+    const filePath = path.join(__dirname, sourcePath);
+    const stat = await fs.stat(filePath);
+    const previous = await dbGet(`SELECT * FROM sources WHERE collection = ? AND source_path = ?`, [collection.name, sourcePath]);
+    const sameChunking = previous && previous.chunking === chunkingJSON;
+    if (sameChunking && previous.mtime_ms === stat.mtimeMs && previous.size === stat.size) {
+        return { status: 'unchanged' };
+    }
+    const content = await fs.readFile(filePath, 'utf-8'); // Read file content
+    const contentHash = hashContent(content);
+    if (sameChunking && previous.content_hash === contentHash) {
+        // touched but not edited
+        await dbRun(`UPDATE sources SET mtime_ms = ?, size = ? WHERE collection = ? AND source_path = ?`, [stat.mtimeMs, stat.size, collection.name, sourcePath]);
+        return { status: 'unchanged' };
+    }
+    console.log(`Indexing ${sourcePath}...`);
+    const documents = await loadContent(content, { extension: path.extname(sourcePath) });
+    const { results, removed } = await reindexSource(collection, documents, {
+        sourceName: path.basename(sourcePath),
+        sourcePath,
+        chunking,
+        signal,
+        onProgress: progress,
+    });
+    await dbRun(
+        `INSERT OR REPLACE INTO sources (source_path, content_hash, mtime_ms, size, chunk_count, synced_at, chunking, collection)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [sourcePath, contentHash, stat.mtimeMs, stat.size, results.length, new Date().toISOString(), chunkingJSON, collection.name]
+    );
+    return {
+        status: previous ? 'updated' : 'added',
+        chunksAdded: results.filter(storedChunk).length,
+        chunksRemoved: removed.length,
+        nearDuplicates: results.filter((result) => result.nearDuplicateOf).length,
+    };
+});
+
+// Sync the documents folder: ingest new files, re-chunk changed ones and drop
+// the chunks of deleted ones. A file counts as changed when its content hash
+// differs from the last sync (the hash is only recomputed when mtime or size
+// moved) or when it was chunked with different settings than this request's
+// chunkStrategy, chunkSize and chunkOverlap. The default collection syncs the
+// documents folder itself and any other collection its documents/<name> subfolder.
+// The sync runs as a background job (see jobs.js); the response is the queued
+// job, to be polled at /jobs/<id>.
+app.get('/load-documents', authorize('ingest'), requireReadyIndex, async (req, res) => {
+    const { collection } = req;
+    const folderPath = collection.name === DEFAULT_COLLECTION
+        ? path.join(__dirname, 'documents')
+        : path.join(__dirname, 'documents', collection.name);
 
     try {
-        const files = await fs.readdir(folderPath); // Get list of files
-        const results = [];
-
+        const { chunkStrategy, chunkSize, chunkOverlap } = req.query;
+        const chunking = parseChunking({ strategy: chunkStrategy, size: chunkSize, overlap: chunkOverlap }, collection.settings.chunking);
+        const files = await fs.readdir(folderPath).catch((err) => {
+            if (err.code === 'ENOENT') err.status = 404;
+            throw err;
+        }); // Get list of files
+        const known = await dbAll(`SELECT source_path FROM sources WHERE collection = ?`, [collection.name]);
+        const jobFiles = [];
+        const seen = new Set();
         for (const file of files) {
             const filePath = path.join(folderPath, file);
-            const content = await fs.readFile(filePath, 'utf-8'); // Read file content
-            console.log('Processing content:', content);
-            let chunks = await processTextFile(content, 1000);
-            for (let i = 0; i < chunks.length; i++) {
-                const chunk = chunks[i];
-                // get filename and strip of extension for chunk name
-                const chunkName = `${file.split('.').slice(0, -1).join('.')}_chunk_${i + 1}`;
-                console.log(`Processing chunk: ${chunkName}`);
-    
-                // Write to SQLite and FAISS
-                let documentResult = await addDocumentToDB(chunk, chunkName);
-                results.push(documentResult); // Add the result to the array
+            const stat = await fs.stat(filePath);
+            if (!stat.isFile()) continue;
+            const sourcePath = path.relative(__dirname, filePath);
+            if (!getLoader({ extension: path.extname(file) })) {
+                // no loader for this format; any chunks from an earlier sync are removed
+                jobFiles.push({ file: sourcePath, action: 'skip' });
+                continue;
             }
+            seen.add(sourcePath);
+            jobFiles.push({ file: sourcePath, action: 'sync' });
+        }
+        for (const { source_path: sourcePath } of known) {
+            if (!seen.has(sourcePath)) jobFiles.push({ file: sourcePath, action: 'remove' });
         }
-        const count = results.length;
-        res.json({ message: `Loaded ${count} documents.`, results });
+        const job = await createJob('load-documents', collection.name, { chunking }, jobFiles);
+        res.status(202).json({ message: `Queued ${jobFiles.length} files.`, job });
     } catch (err) {
         console.error('Error loading documents:', err);
-        res.status(500).json({ error: 'Error loading documents.', details: err.message });
+        res.status(err.status || 500).json({ error: 'Error loading documents.', details: err.message });
     }
 });
-async function addDocumentToDB(content) {
-    const vector = await getEmbeddings(content);
+
+/**
+ * Embeds a chunk with its collection's provider and stores it in SQLite and the collection's FAISS.
+ * @param {object} collection - The collection (see collections.js).
+ * @param {string} content - The chunk text.
+ * @param {object} [details] - Where the chunk came from.
+ * @param {string} [details.sourceName] - File name or title of the source document.
+ * @param {string} [details.sourcePath] - Path of the source file, relative to the server.
+ * @param {number} [details.chunkIndex] - Position of the chunk within its source.
+ * @param {number} [details.charStart] - Offset of the chunk's first character in the source.
+ * @param {number} [details.charEnd] - Offset just past the chunk's last character.
+ * @param {object} [details.metadata] - Arbitrary user-supplied metadata.
+ * @param {object} [details.chunking] - The chunking settings that produced the chunk.
+ * @param {Set<number>} [details.ignoreIds] - Chunks a new chunk is not compared with for near-duplicates.
+ * @param {number[]} [details.vector] - The chunk's embedding, if already computed.
+ * @returns {object} A message, plus the docId when a vector was stored and
+ *   nearDuplicateOf and similarity when the chunk nearly repeats a stored one.
+ */
+async function addDocumentToDB(collection, content, details = {}) {
+    const { name, model } = collection.provider;
+    const {
+        sourceName = null,
+        sourcePath = null,
+        chunkIndex = null,
+        charStart = null,
+        charEnd = null,
+        metadata = {},
+        chunking = null,
+        ignoreIds = null,
+        vector: embedded = null,
+    } = details;
+    const chunkingJSON = chunking ? JSON.stringify(chunking) : null;
+    const existing = await dbGet(
+        `SELECT id, provider, model, source_path FROM documents WHERE collection = ? AND content = ?`,
+        [collection.name, content]
+    );
+    if (existing && existing.provider === name && existing.model === model) {
+        if (sourcePath && (existing.source_path === null || existing.source_path === sourcePath)) {
+            // the chunk may have moved within an edited file
+            await dbRun(
+                `UPDATE documents SET source_name = ?, source_path = ?, chunk_index = ?, char_start = ?, char_end = ?, chunking = ? WHERE id = ?`,
+                [sourceName, sourcePath, chunkIndex, charStart, charEnd, chunkingJSON, existing.id]
+            );
+        }
+        return { message: 'Document already exists.', docId: existing.id };
+    }
+    const vector = embedded || await getEmbeddings(content, collection.provider);
     // Convert vector to binary for SQLite
-    const vectorBuffer = Buffer.from(new Float32Array(vector).buffer);
-    // Insert into SQLite and FAISS
-    let documentResult = await new Promise((resolve, reject) => {
-        db.run(
-            `INSERT OR IGNORE INTO documents (content, vector) VALUES (?, ?)`,
-            [content, vectorBuffer],
-            function (err) {
-                if (err) return reject(err); // Reject promise on error
-
-                if (this.changes > 0) {
-                    // Add vector to FAISS and resolve with document ID
-                    FAISS.add(vector, this.lastID);
-                    resolve({ message: 'Document added.', docId: this.lastID });
-                } else {
-                    // Document already exists
-                    resolve({ message: 'Document already exists.' });
-                }
-            }
+    const vectorBuffer = encodeVector(vector, collection.settings.storage);
+    if (existing) {
+        // Stored under another provider: replace its vector with one from the collection's
+        // provider, and fill in provenance that rows from older versions lack
+        await dbRun(
+            `UPDATE documents SET vector = ?, provider = ?, model = ?, dimension = ?,
+                source_name = COALESCE(source_name, ?), source_path = COALESCE(source_path, ?),
+                chunk_index = COALESCE(chunk_index, ?), char_start = COALESCE(char_start, ?),
+                char_end = COALESCE(char_end, ?), chunking = COALESCE(chunking, ?)
+             WHERE id = ?`,
+            [vectorBuffer, name, model, vector.length, sourceName, sourcePath, chunkIndex, charStart, charEnd, chunkingJSON, existing.id]
         );
-    });
-    return documentResult;
+        collection.addToIndexes(vector, existing.id, content);
+        return { message: 'Document re-embedded.', docId: existing.id };
+    }
+    const nearDuplicate = await findNearDuplicate(collection, vector, ignoreIds);
+    if (nearDuplicate && collection.settings.nearDuplicates.action === 'skip') {
+        console.log(`Skipping near-duplicate of document ${nearDuplicate.nearDuplicateOf} (similarity ${nearDuplicate.similarity.toFixed(3)})`);
+        return { message: 'Near-duplicate skipped.', ...nearDuplicate };
+    }
+    // Insert into SQLite and FAISS
+    const result = await dbRun(
+        `INSERT OR IGNORE INTO documents
+            (collection, content, vector, provider, model, dimension, source_name, source_path,
+             chunk_index, char_start, char_end, ingested_at, content_hash, metadata, chunking, near_duplicate_of)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            collection.name, content, vectorBuffer, name, model, vector.length, sourceName, sourcePath,
+            chunkIndex, charStart, charEnd, new Date().toISOString(), hashContent(content), JSON.stringify(metadata), chunkingJSON,
+            nearDuplicate ? nearDuplicate.nearDuplicateOf : null,
+        ]
+    );
+    if (result.changes === 0) {
+        // Document already exists
+        return { message: 'Document already exists.' };
+    }
+    // Add vector to FAISS and resolve with document ID
+    collection.addToIndexes(vector, result.lastID, content);
+    return { message: 'Document added.', docId: result.lastID, ...nearDuplicate };
 }
 
-app.post('/search', async (req, res) => {
-    const { query, k=1 } = req.body;
-    
-    if (!query) return res.status(400).json({ error: 'Query is required' });
-
-    try {
-        // Step 1: Generate query vector
-        const queryVector = await getEmbeddings(query); // Assume this returns a numerical array
-
-        // Step 2: Use FAISS to search for the top-k similar documents
-        console.log("Querying FAISS with query vector...");
-        const faissResults = FAISS.search(queryVector, k); // FAISS returns top-k document IDs and scores
-
-        // Step 3: Retrieve document contents for the top-k results
-        const documentIds = faissResults.map((result) => result.docId);
-        const placeholders = documentIds.map(() => '?').join(','); // Prepare SQL placeholders for IN clause
-        const topDocuments = await new Promise((resolve, reject) => {
-            db.all(
-                `SELECT id, content FROM documents WHERE id IN (${placeholders})`,
-                documentIds,
-                (err, rows) => {
-                    if (err) reject(err);
-                    resolve(rows);
-                }
-            );
+// The stored chunk most similar to a new chunk's vector, if it reaches the
+// collection's near-duplicate threshold (see collections.js)
+const findNearDuplicate = async (collection, vector, ignoreIds = null) => {
+    const { threshold } = collection.settings.nearDuplicates;
+    if (!threshold) return null;
+    const filter = ignoreIds && ignoreIds.size > 0 ? (docId) => !ignoreIds.has(docId) : null;
+    const [closest] = await collection.searchVectors(vector, 1, { filter });
+    if (!closest || closest.score < threshold) return null;
+    return { nearDuplicateOf: closest.docId, similarity: closest.score };
+};
+
+// Combines vector and keyword rankings. "rrf" (reciprocal-rank fusion) adds
+// 1 / (rrfK + rank) from each list; "weighted" mixes the min-max normalised
+// scores as alpha * vector + (1 - alpha) * keyword.
+const fuseRankings = (vectorResults, keywordResults, { fusion = 'rrf', alpha = 0.5, rrfK = 60 } = {}) => {
+    const fused = new Map();
+    const entry = (docId) => {
+        if (!fused.has(docId)) fused.set(docId, { docId, score: 0, vectorScore: null, keywordScore: null });
+        return fused.get(docId);
+    };
+    const normalizer = (results) => {
+        const scores = results.map((result) => result.score);
+        const min = Math.min(...scores);
+        const range = Math.max(...scores) - min;
+        return (score) => (range > 0 ? (score - min) / range : 1);
+    };
+    for (const [results, key, weight] of [[vectorResults, 'vectorScore', alpha], [keywordResults, 'keywordScore', 1 - alpha]]) {
+        const normalize = normalizer(results);
+        results.forEach((result, rank) => {
+            const item = entry(result.docId);
+            item[key] = result.score;
+            item.score += fusion === 'weighted' ? weight * normalize(result.score) : 1 / (rrfK + rank + 1);
         });
+    }
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+};
+
+// Maximal Marginal Relevance: picks k of the candidates one at a time, each
+// maximising lambda * relevance - (1 - lambda) * its highest similarity to a
+// result already picked, so chunks saying the same thing don't crowd out the
+// rest. Relevance is the ranking score min-max normalised over the
+// candidates, similarity the cosine between the stored chunk vectors.
+const diversify = (candidates, faiss, k, lambda) => {
+    const scores = candidates.map((candidate) => candidate.score);
+    const min = Math.min(...scores);
+    const range = Math.max(...scores) - min;
+    const remaining = candidates.map((candidate) => ({
+        candidate,
+        relevance: range > 0 ? (candidate.score - min) / range : 1,
+        vector: faiss.vector(candidate.docId),
+        redundancy: 0, // highest similarity to a picked result so far
+    }));
+    const value = (item) => lambda * item.relevance - (1 - lambda) * item.redundancy;
+    const picked = [];
+    while (picked.length < k && remaining.length > 0) {
+        let best = 0;
+        for (let i = 1; i < remaining.length; i++) {
+            if (value(remaining[i]) > value(remaining[best])) best = i;
+        }
+        const [next] = remaining.splice(best, 1);
+        picked.push(next.candidate);
+        if (!next.vector) continue;
+        for (const item of remaining) {
+            if (!item.vector) continue;
+            let dot = 0;
+            for (let i = 0; i < item.vector.length; i++) dot += item.vector[i] * next.vector[i];
+            item.redundancy = Math.max(item.redundancy, dot);
+        }
+    }
+    return picked;
+};
 
-        // Map FAISS results to their corresponding document content
-        const topResults = faissResults.map((result) => {
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+
+/**
+ * Ranks a collection's chunks for a query with FAISS, the keyword index or both.
+ * @param {object} options
+ * @param {object} options.collection - The collection to search.
+ * @param {string} options.query - The query text.
+ * @param {number} options.k - The number of results.
+ * @param {string} [options.mode] - "vector", "keyword" or "hybrid".
+ * @param {Set<number>} [options.filter] - Only rank these docIds.
+ * @param {boolean} [options.exact] - Exact rather than approximate vector search.
+ * @param {string} [options.fusion] - "rrf" or "weighted", for hybrid mode.
+ * @param {number} [options.alpha] - Weight of the vector score in weighted fusion.
+ * @param {boolean} [options.mmr] - Re-rank for diversity with Maximal Marginal Relevance.
+ * @param {number} [options.lambda] - MMR trade-off: 1 is pure relevance, 0 pure diversity.
+ * @returns {{docId: number, score: number}[]} Results, best first.
+ */
+const rankDocuments = async ({ collection, query, k, mode = 'vector', filter = null, exact = false, fusion, alpha, mmr = false, lambda = 0.5 }) => {
+    const { faiss, keywords, provider, searchVectors } = collection;
+    // MMR chooses k results out of a deeper candidate list
+    const candidates = mmr ? Math.max(k * 4, 20) : k;
+    let results;
+    if (mode === 'keyword') {
+        results = keywords.search(query, candidates, { filter });
+    } else {
+        const queryVector = await getEmbeddings(query, provider);
+        if (mode === 'vector') {
+            results = await searchVectors(queryVector, candidates, { exact, filter });
+        } else {
+            // hybrid: fuse deeper candidate lists than k so either side can promote a result
+            const depth = Math.max(candidates * 4, 20);
+            const vectorResults = await searchVectors(queryVector, depth, { exact, filter });
+            const keywordResults = keywords.search(query, depth, { filter });
+            results = fuseRankings(vectorResults, keywordResults, { fusion, alpha }).slice(0, candidates);
+        }
+    }
+    return mmr ? diversify(results, faiss, k, lambda) : results;
+};
+
+// Ids of a collection's documents matching a metadata filter (see filter.js)
+const filterDocumentIds = async (collection, filter) => {
+    const { where, params } = compileFilter(filter);
+    const rows = await dbAll(`SELECT id FROM documents WHERE collection = ? AND (${where})`, [collection.name, ...params]);
+    return new Set(rows.map((row) => row.id));
+};
+
+// The most results a search may ask for (MAX_K, default 100)
+const MAX_K = Number(process.env.MAX_K || 100);
+// The longest snippet a search may ask for, in characters
+const MAX_SNIPPET_LENGTH = 5000;
+
+// Validates the retrieval options shared by /retrieve and /search; "template"
+// names the prompt template /search answers with (PROMPT_TEMPLATE by default),
+// and "mmr" turns on diversity re-ranking with "lambda" (MMR_LAMBDA, default 0.5)
+const searchOptions = (body) => {
+    const { query, k = 1, exact = false, filter = null, mode = 'vector', fusion = 'rrf', alpha = 0.5, snippetLength = 240 } = body;
+    const { template = process.env.PROMPT_TEMPLATE || 'default', mmr = false, lambda = Number(process.env.MMR_LAMBDA || 0.5) } = body;
+    const error = (message) => Object.assign(new Error(message), { status: 400 });
+    if (!query) throw error('Query is required');
+    if (typeof query !== 'string') throw error('Query must be a string');
+    if (!(Number.isInteger(k) && k >= 1 && k <= MAX_K)) throw error(`k must be an integer from 1 to ${MAX_K}`);
+    if (!(typeof alpha === 'number' && alpha >= 0 && alpha <= 1)) throw error('Alpha must be a number from 0 to 1');
+    if (!(Number.isInteger(snippetLength) && snippetLength >= 1 && snippetLength <= MAX_SNIPPET_LENGTH)) {
+        throw error(`snippetLength must be an integer from 1 to ${MAX_SNIPPET_LENGTH}`);
+    }
+    if (typeof exact !== 'boolean') throw error('Exact must be true or false');
+    if (typeof mmr !== 'boolean') throw error('MMR must be true or false');
+    if (!SEARCH_MODES.includes(mode)) throw error(`Mode must be one of ${SEARCH_MODES.join(', ')}`);
+    if (!['rrf', 'weighted'].includes(fusion)) throw error('Fusion must be rrf or weighted');
+    if (typeof template !== 'string') throw error('Template must be a template name');
+    if (!(typeof lambda === 'number' && lambda >= 0 && lambda <= 1)) throw error('Lambda must be a number from 0 to 1');
+    return { query, k, exact, filter, mode, fusion, alpha, snippetLength, template, mmr, lambda };
+};
+
+/**
+ * Ranks a collection's chunks for a query and loads their text and provenance.
+ * @param {object} collection - The collection to search.
+ * @param {object} options - Options from searchOptions.
+ * @returns {object[]} Results, best first, with docId, score(s), content, a
+ *   highlighted snippet and the chunk's provenance.
+ */
+async function retrieveChunks(collection, { query, k, exact, filter, mode, fusion, alpha, mmr, lambda, snippetLength }) {
+    // Steps 1 and 2: Embed the query and search FAISS and/or the keyword
+    // index for the top-k documents, restricted to the chunks matching the
+    // metadata filter
+    console.log(`Searching ${collection.name} in ${mode} mode...`);
+    const allowedIds = filter ? await filterDocumentIds(collection, filter) : null;
+    const faissResults = await rankDocuments({ collection, query, k, mode, filter: allowedIds, exact, fusion, alpha, mmr, lambda }); // top-k document IDs and scores
+
+    // Step 3: Retrieve document contents for the top-k results
+    const documentIds = faissResults.map((result) => result.docId);
+    const placeholders = documentIds.map(() => '?').join(','); // Prepare SQL placeholders for IN clause
+    const topDocuments = await dbAll(
+        `SELECT * FROM documents WHERE id IN (${placeholders})`,
+        documentIds
+    );
+
+    // Map FAISS results to their corresponding document content and provenance
+    return faissResults
+        .map((result) => {
             const document = topDocuments.find((doc) => doc.id === result.docId);
-            return { ...result, content: document ? document.content : null };
-        });
+            if (!document) return null; // deleted while the search ran
+            return {
+                ...result,
+                content: document.content,
+                snippet: highlightSnippet(document.content, query, { length: snippetLength }),
+                ...documentDetails(document),
+            };
+        })
+        .filter(Boolean);
+}
+
+// Ranked chunks only, without generating an answer
+app.post('/retrieve', authorize('read'), requireReadyIndex, async (req, res) => {
+    try {
+        const options = searchOptions(req.body);
+        const results = await retrieveChunks(req.collection, options);
+        res.json({ query: options.query, collection: req.collection.name, results });
+    } catch (err) {
+        console.error('Error in /retrieve:', err);
+        res.status(err.status || 500).json({ error: 'Error retrieving documents.', details: err.message });
+    }
+});
+
+// Turns of a session loaded for rewriting and answering; HISTORY_TOKEN_BUDGET
+// decides how many of them actually make it into the prompts
+const SESSION_HISTORY_TURNS = 20;
 
-        // Step 4: Build the context for GPT
-        const context = topResults
-            .filter((result) => result.content) // Ensure content exists
-            .map((result, i) => `${i + 1}. ${result.content}`)
-            .join('\n');
+// For a request in a session, loads the earlier turns and rewrites the
+// question into a standalone query to search with
+const conversationContext = async (conversation, question) => {
+    if (!conversation) return { history: [], standaloneQuery: question };
+    const history = await sessionTurns(conversation.id, SESSION_HISTORY_TURNS);
+    const standaloneQuery = await rewriteQuestion(history, question);
+    if (standaloneQuery !== question) console.log(`Rewrote "${question}" as "${standaloneQuery}"`);
+    return { history, standaloneQuery };
+};
+
+// Fields added to search responses for requests in a session
+const sessionFields = (conversation, standaloneQuery) => (conversation ? { sessionId: conversation.id, standaloneQuery } : {});
+
+// The prompt template a search asked for
+const answerTemplate = async (name) => {
+    const template = await getTemplate(name);
+    if (!template) throw Object.assign(new Error(`Prompt template ${name} not found`), { status: 404 });
+    return template;
+};
 
-        // Step 5: Call OpenAI to get the answer
-        const answer = await getAnswer(context, query);
+// Steps 1 to 4 of answering: read the question in its conversation, retrieve
+// chunks for it and pack as many as fit into the prompt. Results keep their
+// rank; the ones in the prompt get the number they are cited by, the others
+// a null number and an entry in the context report's omitted list.
+const prepareAnswer = async (req, options, template) => {
+    const { history, standaloneQuery } = await conversationContext(req.conversation, options.query);
+    const retrieved = await retrieveChunks(req.collection, { ...options, query: standaloneQuery });
+    const { passages, ...context } = assembleContext(retrieved, options.query, { history, template });
+    const numbers = new Map(passages.map((passage, i) => [passage.docId, i + 1]));
+    const results = retrieved.map((result) => ({ number: numbers.get(result.docId) ?? null, ...result }));
+    return { history, standaloneQuery, passages, context, results };
+};
 
-        // Step 6: Return the results and the GPT answer
-        res.json({ query: query, answer });
+// Ranked chunks plus an answer generated from them. Each result carries the
+// number it was given in the prompt, and citations maps the [n] markers in
+// the answer back to docIds; "context" reports the prompt's token budget and
+// which chunks were trimmed or left out to fit it. With a "sessionId" the
+// question is read in the context of the session's earlier turns and
+// recorded as its next turn.
+const answerQuery = async (req, res) => {
+    try {
+        const options = searchOptions(req.body);
+        const template = await answerTemplate(options.template);
+        const { history, standaloneQuery, passages, context, results } = await prepareAnswer(req, options, template);
+
+        // Step 5: Ask the generator for a cited answer
+        const { answer, citations } = await getAnswer(passages, options.query, { history, template });
+        if (req.conversation) {
+            await addTurn(req.conversation.id, { question: options.query, standaloneQuery, answer, citations, sources: passages.map((passage) => passage.docId) });
+        }
+
+        // Step 6: Return the answer with its sources
+        res.json({
+            query: options.query,
+            ...sessionFields(req.conversation, standaloneQuery),
+            collection: req.collection.name,
+            template: template.name,
+            answer,
+            citations,
+            context,
+            results,
+        });
     } catch (err) {
         console.error("Error in /search:", err);
-        res.status(500).json({ error: 'Error processing query.', details: err.message });
+        res.status(err.status || 500).json({ error: 'Error processing query.', details: err.message });
+    }
+};
+
+app.post('/search', authorize('read'), resolveSession, requireReadyIndex, answerQuery);
+
+// /search as Server-Sent Events, so answers show up while they are generated.
+// The body is the same as for /search. Events, each with JSON data:
+//   results  { query, collection, template, context, results }
+//                                             the numbered sources, sent first
+//   token    { text }                         the next piece of the answer
+//   done     { answer, citations, usage }     the full answer and token usage
+//   error    { error, details }               retrieval or generation failed
+app.post('/search/stream', authorize('read'), resolveSession, requireReadyIndex, async (req, res) => {
+    let options;
+    let template;
+    try {
+        options = searchOptions(req.body);
+        template = await answerTemplate(options.template);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: 'Error processing query.', details: err.message });
+    }
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // stop generating when the client goes away
+    const abort = new AbortController();
+    res.on('close', () => abort.abort());
+
+    try {
+        const { history, standaloneQuery, passages, context, results } = await prepareAnswer(req, options, template);
+        send('results', {
+            query: options.query,
+            ...sessionFields(req.conversation, standaloneQuery),
+            collection: req.collection.name,
+            template: template.name,
+            context,
+            results,
+        });
+        for await (const piece of streamAnswer(passages, options.query, { signal: abort.signal, history, template })) {
+            if (piece.delta) {
+                send('token', { text: piece.delta });
+                continue;
+            }
+            if (req.conversation) {
+                const { answer, citations } = piece;
+                await addTurn(req.conversation.id, { question: options.query, standaloneQuery, answer, citations, sources: passages.map((passage) => passage.docId) });
+            }
+            send('done', piece);
+        }
+    } catch (err) {
+        if (!abort.signal.aborted) {
+            console.error('Error in /search/stream:', err);
+            send('error', { error: 'Error processing query.', details: err.message });
+        }
+    }
+    res.end();
+});
+
+// Start a conversation: { collection, title }. Its id is then passed as
+// "sessionId" to /search or /search/stream, or used with /sessions/:id/messages.
+app.post('/sessions', authorize('read'), resolveCollection, async (req, res) => {
+    try {
+        const session = await createSession(req.collection.name, req.body.title || null, req.apiKey?.id ?? null);
+        res.status(201).json(session);
+    } catch (err) {
+        console.error('Error creating session:', err);
+        res.status(500).json({ error: 'Error creating session.', details: err.message });
+    }
+});
+
+// List the key's sessions (every session for admin keys), optionally of one collection
+app.get('/sessions', authorize('read'), async (req, res) => {
+    try {
+        res.json(await listSessions(req.query.collection || null, { apiKeyId: keyOwner(req) }));
+    } catch (err) {
+        console.error('Error listing sessions:', err);
+        res.status(500).json({ error: 'Error listing sessions.', details: err.message });
+    }
+});
+
+// A session with all its turns
+app.get('/sessions/:id', authorize('read'), resolveSession, async (req, res) => {
+    try {
+        res.json({ ...req.conversation, history: await sessionTurns(req.conversation.id) });
+    } catch (err) {
+        console.error('Error fetching session:', err);
+        res.status(500).json({ error: 'Error fetching session.', details: err.message });
+    }
+});
+
+// Continue a session: same body as /search
+app.post('/sessions/:id/messages', authorize('read'), resolveSession, requireReadyIndex, answerQuery);
+
+app.delete('/sessions/:id', authorize('read'), resolveSession, async (req, res) => {
+    try {
+        if (!(await deleteSession(req.conversation.id))) return res.status(404).json({ error: 'Session not found.' });
+        res.json({ message: 'Session deleted.' });
+    } catch (err) {
+        console.error('Error deleting session:', err);
+        res.status(500).json({ error: 'Error deleting session.', details: err.message });
+    }
+});
+
+// Prompt templates /search can answer with, chosen by its "template" option
+app.get('/templates', authorize('read'), async (req, res) => {
+    try {
+        res.json({ templates: await listTemplates() });
+    } catch (err) {
+        console.error('Error listing templates:', err);
+        res.status(500).json({ error: 'Error listing templates.', details: err.message });
+    }
+});
+
+app.get('/templates/:name', authorize('read'), async (req, res) => {
+    try {
+        const template = await getTemplate(req.params.name);
+        if (!template) return res.status(404).json({ error: 'Template not found.' });
+        res.json(template);
+    } catch (err) {
+        console.error('Error reading template:', err);
+        res.status(500).json({ error: 'Error reading template.', details: err.message });
+    }
+});
+
+// Create or replace a template: { template, system, description }
+app.put('/templates/:name', authorize('admin'), async (req, res) => {
+    try {
+        res.json(await saveTemplate(req.params.name, req.body));
+    } catch (err) {
+        console.error('Error saving template:', err);
+        res.status(err.status || 500).json({ error: 'Error saving template.', details: err.message });
+    }
+});
+
+// Deleting an edited built-in template restores the original
+app.delete('/templates/:name', authorize('admin'), async (req, res) => {
+    try {
+        if (!(await deleteTemplate(req.params.name))) return res.status(404).json({ error: 'Template not found.' });
+        res.json({ message: 'Template deleted.' });
+    } catch (err) {
+        console.error('Error deleting template:', err);
+        res.status(500).json({ error: 'Error deleting template.', details: err.message });
+    }
+});
+
+// Background ingestion jobs, as queued by /load-documents and /add with "background"
+app.get('/jobs', authorize('read'), async (req, res) => {
+    try {
+        const { collection = null, status = null } = req.query;
+        res.json({ jobs: await listJobs({ collection, status, apiKeyId: keyOwner(req) }) });
+    } catch (err) {
+        console.error('Error listing jobs:', err);
+        res.status(500).json({ error: 'Error listing jobs.', details: err.message });
+    }
+});
+
+// A job's progress, with the status and result of each file
+app.get('/jobs/:id', authorize('read'), resolveJob, (req, res) => {
+    res.json(req.job);
+});
+
+app.post('/jobs/:id/cancel', authorize('ingest'), resolveJob, async (req, res) => {
+    try {
+        res.json(await cancelJob(req.params.id));
+    } catch (err) {
+        console.error('Error cancelling job:', err);
+        res.status(err.status || 500).json({ error: 'Error cancelling job.', details: err.message });
+    }
+});
+
+// Runs the files of a failed, cancelled or interrupted job that did not finish
+app.post('/jobs/:id/resume', authorize('ingest'), resolveJob, async (req, res) => {
+    try {
+        res.json(await resumeJob(req.params.id));
+    } catch (err) {
+        console.error('Error resuming job:', err);
+        res.status(err.status || 500).json({ error: 'Error resuming job.', details: err.message });
+    }
+});
+
+// Score retrieval on a question set (see evaluation.js). The body is JSON
+// { questions: [...] or JSONL text, name, faithfulness, ...the /search options
+// except query }, or the question set itself as JSONL (Content-Type
+// application/x-ndjson) with those options as query parameters. k defaults
+// to 5. Every question goes through the /search path; the answer is only
+// generated when "faithfulness" is on. The run is stored and returned.
+app.post('/evaluations', express.text({ type: 'application/x-ndjson', limit: '20mb' }), authorize('read'), requireReadyIndex, async (req, res) => {
+    try {
+        const raw = typeof req.body === 'string';
+        const input = raw ? req.query : req.body;
+        const questions = parseQuestions(raw ? req.body : input.questions);
+        const flag = (value) => value === true || value === 'true';
+        const number = (value) => (value === undefined ? undefined : Number(value));
+        // searchOptions checks it like any search's k
+        const k = number(input.k) ?? 5;
+        const options = searchOptions({
+            ...input,
+            query: questions[0].question,
+            k,
+            alpha: number(input.alpha),
+            lambda: number(input.lambda),
+            snippetLength: number(input.snippetLength),
+            exact: flag(input.exact),
+            mmr: flag(input.mmr),
+            filter: typeof input.filter === 'string' ? JSON.parse(input.filter) : input.filter,
+        });
+        const template = await answerTemplate(options.template);
+        const faithfulness = flag(input.faithfulness);
+        const { query, snippetLength, ...searchSettings } = options;
+        const { embedding, index, storage } = req.collection.settings;
+        // what the stored chunks were actually cut with, which per-request settings may have changed
+        const cuts = await dbAll(`SELECT DISTINCT chunking FROM documents WHERE collection = ? AND chunking IS NOT NULL`, [req.collection.name]);
+        const chunking = cuts.length === 1 ? JSON.parse(cuts[0].chunking) : cuts.length > 1 ? cuts.map((row) => JSON.parse(row.chunking)) : req.collection.settings.chunking;
+        const request = { collection: req.collection, conversation: null };
+        const run = await runEvaluation(questions, {
+            collection: req.collection.name,
+            name: input.name || null,
+            k,
+            settings: { ...searchSettings, faithfulness, embedding, chunking, index, storage },
+            search: (question) => prepareAnswer(request, { ...options, query: question.question, filter: question.filter || options.filter }, template),
+            judge: faithfulness
+                ? async (question, { passages }) => {
+                    const { answer } = await getAnswer(passages, question.question, { template });
+                    return { answer, ...(await checkFaithfulness(answer, passages)) };
+                }
+                : null,
+        });
+        console.log(`Evaluated ${questions.length} questions on ${req.collection.name}: ${JSON.stringify(run.metrics)}`);
+        res.status(201).json(run);
+    } catch (err) {
+        console.error('Error evaluating retrieval:', err);
+        res.status(err.status || (err instanceof SyntaxError ? 400 : 500)).json({ error: 'Error evaluating retrieval.', details: err.message });
+    }
+});
+
+// Stored evaluation runs, newest first (?collection= to filter), without per-question results
+app.get('/evaluations', authorize('read'), async (req, res) => {
+    try {
+        res.json(await listEvaluations({ collection: req.query.collection || null }));
+    } catch (err) {
+        console.error('Error listing evaluations:', err);
+        res.status(500).json({ error: 'Error listing evaluations.', details: err.message });
+    }
+});
+
+app.get('/evaluations/:id', authorize('read'), async (req, res) => {
+    try {
+        const run = await getEvaluation(req.params.id);
+        if (!run) return res.status(404).json({ error: `Evaluation ${req.params.id} not found.` });
+        res.json(run);
+    } catch (err) {
+        console.error('Error reading evaluation:', err);
+        res.status(500).json({ error: 'Error reading evaluation.', details: err.message });
     }
 });
 
+// Two runs side by side: metrics with their change from :id to :other, the
+// settings that differ, and the questions whose scores moved
+app.get('/evaluations/:id/compare/:other', authorize('read'), async (req, res) => {
+    try {
+        res.json(await compareEvaluations(req.params.id, req.params.other));
+    } catch (err) {
+        console.error('Error comparing evaluations:', err);
+        res.status(err.status || 500).json({ error: 'Error comparing evaluations.', details: err.message });
+    }
+});
+
+app.delete('/evaluations/:id', authorize('ingest'), async (req, res) => {
+    try {
+        if (!(await deleteEvaluation(req.params.id))) return res.status(404).json({ error: `Evaluation ${req.params.id} not found.` });
+        res.json({ message: `Deleted evaluation ${req.params.id}.` });
+    } catch (err) {
+        console.error('Error deleting evaluation:', err);
+        res.status(500).json({ error: 'Error deleting evaluation.', details: err.message });
+    }
+});
+
+// API keys (admin only). The key itself is in the response to POST /keys and
+// nowhere else.
+// Create a key: { name, role: "read"|"ingest"|"admin", rateLimit, embeddingQuota,
+// generationQuota }; limits left out or null use the server defaults
+app.post('/keys', authorize('admin'), async (req, res) => {
+    try {
+        const key = await createKey(req.body);
+        res.status(201).json({ message: 'API key created. Store it now; it cannot be shown again.', ...key });
+    } catch (err) {
+        console.error('Error creating API key:', err);
+        res.status(err.status || 500).json({ error: 'Error creating API key.', details: err.message });
+    }
+});
+
+// Keys with their limits and this month's token usage; ?revoked=true includes revoked keys
+app.get('/keys', authorize('admin'), async (req, res) => {
+    try {
+        res.json({ keys: await listKeys({ revoked: req.query.revoked === 'true' }) });
+    } catch (err) {
+        console.error('Error listing API keys:', err);
+        res.status(500).json({ error: 'Error listing API keys.', details: err.message });
+    }
+});
+
+// The key the request was made with, so any key can see its own limits and usage
+app.get('/keys/current', authorize('read'), async (req, res) => {
+    if (!req.apiKey) return res.status(404).json({ error: 'Authentication is off; requests have no key.' });
+    try {
+        res.json((await getKey(req.apiKey.id)) || req.apiKey);
+    } catch (err) {
+        console.error('Error reading API key:', err);
+        res.status(500).json({ error: 'Error reading API key.', details: err.message });
+    }
+});
+
+app.get('/keys/:id', authorize('admin'), async (req, res) => {
+    try {
+        const key = await getKey(req.params.id);
+        if (!key) return res.status(404).json({ error: `API key ${req.params.id} not found.` });
+        res.json(key);
+    } catch (err) {
+        console.error('Error reading API key:', err);
+        res.status(500).json({ error: 'Error reading API key.', details: err.message });
+    }
+});
 
+// Rename a key or change its role or limits: same fields as POST /keys
+app.put('/keys/:id', authorize('admin'), async (req, res) => {
+    try {
+        res.json(await updateKey(req.params.id, req.body));
+    } catch (err) {
+        console.error('Error updating API key:', err);
+        res.status(err.status || 500).json({ error: 'Error updating API key.', details: err.message });
+    }
+});
 
+// Revoke a key; it stays listed with ?revoked=true, and in the audit log
+app.delete('/keys/:id', authorize('admin'), async (req, res) => {
+    try {
+        if (!(await revokeKey(req.params.id))) return res.status(404).json({ error: `No active API key ${req.params.id}.` });
+        res.json({ message: `Revoked API key ${req.params.id}.` });
+    } catch (err) {
+        console.error('Error revoking API key:', err);
+        res.status(500).json({ error: 'Error revoking API key.', details: err.message });
+    }
+});
+
+// Who called what, newest first: ?key=<key id>, ?collection=, ?since= and
+// ?until= (ISO dates) filter it, ?limit= (default 100, at most 1000) and
+// ?before=<entry id> page through it
+app.get('/audit', authorize('admin'), async (req, res) => {
+    const { key = null, collection = null, since = null, until = null } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const before = req.query.before === undefined ? null : Number(req.query.before);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({ error: 'limit must be an integer from 1 to 1000' });
+    }
+    if (before !== null && !Number.isInteger(before)) return res.status(400).json({ error: 'before must be an entry id' });
+    try {
+        res.json({ entries: await listAudit({ key, collection, since, until, before, limit }) });
+    } catch (err) {
+        console.error('Error reading audit log:', err);
+        res.status(500).json({ error: 'Error reading audit log.', details: err.message });
+    }
+});
+
+// The collection a stored chunk belongs to; throws 503 until its index is ready
+const readyCollectionOf = (row) => {
+    const collection = getCollection(row.collection);
+    if (!collection || collection.state.status !== 'ready') {
+        throw Object.assign(new Error(`The index of collection ${row.collection} is not ready.`), { status: 503 });
+    }
+    return collection;
+};
 
-// Fetch all documents (for debugging)
-app.get('/documents', (req, res) => {
-    db.all(`SELECT * FROM documents`, [], (err, rows) => {
+// Delete one chunk
+app.delete('/documents/:id', authorize('ingest'), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const row = await dbGet(`SELECT collection FROM documents WHERE id = ?`, [id]);
+        if (!row) return res.status(404).json({ error: 'Document not found.' });
+        readyCollectionOf(row);
+        const removed = await removeDocuments(`id = ?`, [id]);
+        res.json({ message: 'Document deleted.', removed });
+    } catch (err) {
+        console.error('Error deleting document:', err);
+        res.status(err.status || 500).json({ error: 'Error deleting document.', details: err.message });
+    }
+});
+
+// Update one chunk's content, title or metadata; new content is re-embedded
+app.put('/documents/:id', authorize('ingest'), async (req, res) => {
+    const id = Number(req.params.id);
+    const { content, title, metadata } = req.body;
+    if (metadata !== undefined && !isMetadataObject(metadata)) {
+        return res.status(400).json({ error: 'Metadata must be a JSON object' });
+    }
+    try {
+        const row = await dbGet(`SELECT * FROM documents WHERE id = ?`, [id]);
+        if (!row) return res.status(404).json({ error: 'Document not found.' });
+        const collection = readyCollectionOf(row);
+        const changesContent = content && content !== row.content;
+        let vector = null;
+        let nearDuplicate = null;
+        if (changesContent) {
+            const duplicate = await dbGet(`SELECT id FROM documents WHERE collection = ? AND content = ?`, [row.collection, content]);
+            if (duplicate) return res.status(409).json({ error: 'Another document has this content.', docId: duplicate.id });
+            vector = await getEmbeddings(content, collection.provider);
+            // the new text may (no longer) nearly repeat another chunk; never its own old version
+            nearDuplicate = await findNearDuplicate(collection, vector, new Set([id]));
+        }
+        await transaction(async () => {
+            if (changesContent) {
+                const { name, model } = collection.provider;
+                await dbRun(
+                    `UPDATE documents SET content = ?, vector = ?, provider = ?, model = ?, dimension = ?,
+                        content_hash = ?, ingested_at = ?, char_start = NULL, char_end = NULL, near_duplicate_of = ?
+                     WHERE id = ?`,
+                    [content, encodeVector(vector, collection.settings.storage), name, model, vector.length,
+                        hashContent(content), new Date().toISOString(), nearDuplicate ? nearDuplicate.nearDuplicateOf : null, id]
+                );
+            }
+            if (title !== undefined) await dbRun(`UPDATE documents SET source_name = ? WHERE id = ?`, [title, id]);
+            if (metadata !== undefined) await dbRun(`UPDATE documents SET metadata = ? WHERE id = ?`, [JSON.stringify(metadata), id]);
+        });
+        if (changesContent) {
+            collection.removeFromIndexes(id, row.content);
+            collection.addToIndexes(vector, id, content);
+        }
+        const updated = await dbGet(`SELECT * FROM documents WHERE id = ?`, [id]);
+        res.json({ message: 'Document updated.', docId: id, content: updated.content, ...documentDetails(updated) });
+    } catch (err) {
+        console.error('Error updating document:', err);
+        res.status(err.status || 500).json({ error: 'Error updating document.', details: err.message });
+    }
+});
+
+// Delete every chunk of a source in a collection, matched by source name or path
+app.delete('/documents', authorize('ingest'), requireReadyIndex, async (req, res) => {
+    const { source } = req.query;
+    const { name } = req.collection;
+    if (!source) return res.status(400).json({ error: 'The source query parameter is required' });
+    try {
+        const removed = await removeDocuments(`collection = ? AND (source_name = ? OR source_path = ?)`, [name, source, source]);
+        await dbRun(`DELETE FROM sources WHERE collection = ? AND source_path = ?`, [name, source]);
+        if (removed.length === 0) return res.status(404).json({ error: 'Source not found.' });
+        res.json({ message: `Deleted ${removed.length} chunks.`, removed });
+    } catch (err) {
+        console.error('Error deleting source:', err);
+        res.status(500).json({ error: 'Error deleting source.', details: err.message });
+    }
+});
+
+// Replace a source's text: re-chunk it, embed new chunks and drop stale ones
+app.put('/documents', authorize('ingest'), requireReadyIndex, async (req, res) => {
+    const { source } = req.query;
+    const { content, metadata = {}, contentType = 'text/plain', loaderOptions = {}, chunking = {} } = req.body;
+    if (!source) return res.status(400).json({ error: 'The source query parameter is required' });
+    if (!content) return res.status(400).json({ error: 'Content is required' });
+    if (!isMetadataObject(metadata)) return res.status(400).json({ error: 'Metadata must be a JSON object' });
+    try {
+        const settings = parseChunking(chunking, req.collection.settings.chunking);
+        const documents = await loadContent(content, { contentType, options: loaderOptions });
+        // like DELETE, ?source= matches a source name or path; chunks of a
+        // synced file are keyed by path, so they are replaced by path
+        const existing = await dbGet(
+            `SELECT source_name, source_path FROM documents WHERE collection = ? AND (source_name = ? OR source_path = ?) LIMIT 1`,
+            [req.collection.name, source, source]
+        );
+        const sourceFields = existing && existing.source_path
+            ? { sourceName: existing.source_name, sourcePath: existing.source_path }
+            : { sourceName: source };
+        const { results, removed } = await reindexSource(req.collection, documents, { ...sourceFields, metadata, chunking: settings });
+        res.json({ message: 'Source re-indexed.', results, removed });
+    } catch (err) {
+        console.error('Error re-indexing source:', err);
+        res.status(err.status || 500).json({ error: 'Error re-indexing source.', details: err.message });
+    }
+});
+
+// Fetch all documents, or those of one collection (for debugging)
+app.get('/documents', authorize('admin'), (req, res) => {
+    const { collection } = req.query;
+    const where = collection ? 'WHERE collection = ?' : '';
+    db.all(`SELECT * FROM documents ${where}`, collection ? [collection] : [], (err, rows) => {
         if (err) return res.status(500).json({ error: 'Error fetching documents.' });
         res.json(rows);
     });
 });
 
 
-// Serve the default web page
-app.get('/', (req, res) => {
-    res.send(`
+// The default web page
+const page = `
         <!DOCTYPE html>
         <html lang="en">
         <head>
@@ -294,7 +1475,10 @@ app.get('/', (req, res) => {
         </head>
         <body>
             <h1>VectorDB Interface</h1>
+            <input id="api-key" type="password" placeholder="API key" onchange="localStorage.setItem('apiKey', this.value)">
+            <input id="collection" placeholder="Collection (default)">
             <h2>Add Document</h2>
+            <input id="add-title" placeholder="Title (optional)">
             <textarea id="add-content" placeholder="Enter document text here"></textarea>
             <button onclick="addDocument()">Add Document</button>
             <div class="output" id="add-output"></div>
@@ -302,7 +1486,10 @@ app.get('/', (req, res) => {
             <h2>Search Documents</h2>
             <textarea id="search-query" placeholder="Enter search query here"></textarea>
             <button onclick="searchDocuments()">Search</button>
-            <div class="output" id="search-output"></div>
+            <div class="output" id="search-output">
+                <div id="search-answer"></div>
+                <ol id="search-sources"></ol>
+            </div>
 
             <h2>Load All Documents from Folder</h2>
             <button onclick="loadDocuments()">Load All Documents</button>
@@ -311,48 +1498,49 @@ app.get('/', (req, res) => {
             <h2>Count All Documents</h2>
             <button onclick="countDocuments()">Count All Documents</button>
             <div class="output" id="documents-count"></div>
-            <script>
-                async function addDocument() {
-                    const content = document.getElementById('add-content').value;
-                    const res = await fetch('/add', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ content })
-                    });
-                    const data = await res.json();
-                    document.getElementById('add-output').innerText = JSON.stringify(data, null, 2);
-                }
-
-                async function searchDocuments() {
-                    const query = document.getElementById('search-query').value;
-                    const res = await fetch('/search', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ query, k: 2 })
-                    });
-                    const data = await res.json();
-                    document.getElementById('search-output').innerText = JSON.stringify(data, null, 2);
-                }
-
-                async function loadDocuments() {
-                    const res = await fetch('/load-documents');
-                    const data = await res.json();
-                    document.getElementById('documents-output').innerHTML = JSON.stringify(data, null, 2);
-                }
-                    async function countDocuments() {
-                    const res = await fetch('/count-documents');
-                    const data = await res.json();
-                    document.getElementById('documents-count').innerHTML = JSON.stringify(data, null, 2);
-                }
-            </script>
+            <script src="/page.js"></script>
         </body>
         </html>
-    `);
-})
+    `;
+
+// Serve the default web page
+app.get('/', (req, res) => {
+    res.send(page);
+});
 //Synchronize FAISS and start server
-synchronizeFAISS();
+// The server starts listening straight away and answers 503 until every step
+// has finished; /health reports when FAISS is ready or which step failed
+const startupSteps = [
+    ['initializing the SQLite database', initializeDatabase],
+    ['initializing API keys', initializeAuth],
+    ['recovering jobs', recoverJobs],
+    ['loading collections', loadCollections],
+];
+(async () => {
+    for (const [step, run] of startupSteps) {
+        try {
+            await run();
+        } catch (err) {
+            console.error(`Error ${step}:`, err);
+            startupError = `Error ${step}: ${err.message}`;
+            return;
+        }
+    }
+    started = true;
+})();
 const PORT = 3000;
 app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
 });
+
+// Write any pending snapshots before exiting
+const shutdown = async () => {
+    for (const collection of listCollections()) {
+        if (!collection.pendingSnapshot) continue;
+        await collection.saveSnapshot().catch((err) => console.error('Error saving FAISS snapshot:', err));
+    }
+    process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
     
\ No newline at end of file
@@ -0,0 +1,140 @@
+// Conversation sessions stored in SQLite. A session belongs to one collection
+// and holds the turns asked in it, so follow-up questions can be rewritten
+// and answered with the earlier turns in mind. A session also records the API
+// key that started it (see auth.js), and only that key may use it.
+
+import { randomUUID } from 'crypto';
+
+import { dbRun, dbGet, dbAll } from './db.js';
+
+// The API shape of a sessions row
+const sessionDetails = (row) => ({
+    id: row.id,
+    collection: row.collection,
+    apiKeyId: row.api_key_id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    turns: row.turns,
+});
+
+// The API shape of a session_turns row
+const turnDetails = (row) => ({
+    question: row.question,
+    standaloneQuery: row.standalone_query,
+    answer: row.answer,
+    citations: JSON.parse(row.citations || '[]'),
+    sources: JSON.parse(row.sources || '[]'),
+    createdAt: row.created_at,
+});
+
+/**
+ * Starts a session.
+ * @param {string} collection - The collection its questions are asked of.
+ * @param {string} [title] - A title; defaults to the first question.
+ * @param {string} [apiKeyId] - The key that owns it; null when authentication is off.
+ * @returns {object} The session.
+ */
+async function createSession(collection, title = null, apiKeyId = null) {
+    const id = randomUUID();
+    const now = new Date().toISOString();
+    await dbRun(
+        `INSERT INTO sessions (id, collection, api_key_id, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, collection, apiKeyId, title, now, now]
+    );
+    return getSession(id);
+}
+
+/**
+ * Returns a session with its number of turns.
+ * @param {string} id - The session id.
+ * @returns {object|null} The session, or null if there is none.
+ */
+async function getSession(id) {
+    const row = await dbGet(
+        `SELECT sessions.*, (SELECT COUNT(*) FROM session_turns WHERE session_id = sessions.id) AS turns
+         FROM sessions WHERE id = ?`,
+        [id]
+    );
+    return row ? sessionDetails(row) : null;
+}
+
+/**
+ * Lists sessions, most recently used first.
+ * @param {string} [collection] - Only sessions of this collection.
+ * @param {object} [filters]
+ * @param {string} [filters.apiKeyId] - Only sessions of this key.
+ * @returns {object[]} The sessions.
+ */
+async function listSessions(collection = null, { apiKeyId = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (collection) {
+        conditions.push('collection = ?');
+        params.push(collection);
+    }
+    if (apiKeyId) {
+        conditions.push('api_key_id = ?');
+        params.push(apiKeyId);
+    }
+    const rows = await dbAll(
+        `SELECT sessions.*, (SELECT COUNT(*) FROM session_turns WHERE session_id = sessions.id) AS turns
+         FROM sessions ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY updated_at DESC`,
+        params
+    );
+    return rows.map(sessionDetails);
+}
+
+/**
+ * Returns the turns of a session, oldest first.
+ * @param {string} id - The session id.
+ * @param {number} [limit] - Only the most recent turns.
+ * @returns {object[]} The turns.
+ */
+async function sessionTurns(id, limit = -1) {
+    const rows = await dbAll(
+        `SELECT * FROM (SELECT * FROM session_turns WHERE session_id = ? ORDER BY id DESC LIMIT ?) ORDER BY id`,
+        [id, limit]
+    );
+    return rows.map(turnDetails);
+}
+
+/**
+ * Records a turn, and titles the session after its first question.
+ * @param {string} id - The session id.
+ * @param {object} turn - { question, standaloneQuery, answer, citations, sources }.
+ */
+async function addTurn(id, { question, standaloneQuery, answer, citations = [], sources = [] }) {
+    const now = new Date().toISOString();
+    await dbRun(
+        `INSERT INTO session_turns (session_id, question, standalone_query, answer, citations, sources, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, question, standaloneQuery, answer, JSON.stringify(citations), JSON.stringify(sources), now]
+    );
+    await dbRun(
+        `UPDATE sessions SET updated_at = ?, title = COALESCE(title, ?) WHERE id = ?`,
+        [now, question.slice(0, 80), id]
+    );
+}
+
+/**
+ * Deletes a session and its turns.
+ * @param {string} id - The session id.
+ * @returns {boolean} Whether there was such a session.
+ */
+async function deleteSession(id) {
+    await dbRun(`DELETE FROM session_turns WHERE session_id = ?`, [id]);
+    const { changes } = await dbRun(`DELETE FROM sessions WHERE id = ?`, [id]);
+    return changes > 0;
+}
+
+/**
+ * Deletes every session of a collection, eg when it is dropped.
+ * @param {string} collection - The collection name.
+ */
+async function deleteCollectionSessions(collection) {
+    await dbRun(`DELETE FROM session_turns WHERE session_id IN (SELECT id FROM sessions WHERE collection = ?)`, [collection]);
+    await dbRun(`DELETE FROM sessions WHERE collection = ?`, [collection]);
+}
+
+export { createSession, getSession, listSessions, sessionTurns, addTurn, deleteSession, deleteCollectionSessions };
@@ -0,0 +1,79 @@
+// Command-line client for portable collection snapshots (see portable.js),
+// run against a running server:
+//   node snapshot.js export <collection> [file.jsonl]    (stdout without a file)
+//   node snapshot.js import <file.jsonl> [--collection name] [--mode merge|replace]
+// import goes to the collection named in the snapshot unless --collection
+// says otherwise. --server points it at another server than http://localhost:3000,
+// and --key sets the API key, which needs the admin role (default: the API_KEY
+// environment variable).
+
+import fs from 'fs';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { parseArgs } from 'util';
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        server: { type: 'string', default: 'http://localhost:3000' },
+        key: { type: 'string', default: process.env.API_KEY },
+        collection: { type: 'string' },
+        mode: { type: 'string', default: 'merge' },
+    },
+});
+
+const authorization = args.key ? { Authorization: `Bearer ${args.key}` } : {};
+
+// Throws with the server's error details when it does not answer 2xx
+const checkResponse = async (res) => {
+    if (res.ok) return;
+    const body = await res.json().catch(() => ({}));
+    throw new Error(`${res.status} ${body.error || ''} ${body.details || ''}`.trim());
+};
+
+// The manifest on the first line of a snapshot file
+const readManifest = async (file) => {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    try {
+        for await (const line of lines) return JSON.parse(line);
+    } finally {
+        lines.close();
+    }
+    throw new Error(`${file} is empty`);
+};
+
+const commands = {
+    async export([collection, file]) {
+        if (!collection) throw new Error('Usage: node snapshot.js export <collection> [file.jsonl]');
+        const res = await fetch(`${args.server}/collections/${encodeURIComponent(collection)}/export`, { headers: authorization });
+        await checkResponse(res);
+        await pipeline(Readable.fromWeb(res.body), file ? fs.createWriteStream(file) : process.stdout);
+        if (file) console.log(`Exported ${collection} to ${file}.`);
+    },
+
+    async import([file]) {
+        if (!file) throw new Error('Usage: node snapshot.js import <file.jsonl> [--collection name] [--mode merge|replace]');
+        const collection = args.collection || (await readManifest(file)).collection;
+        const res = await fetch(`${args.server}/collections/${encodeURIComponent(collection)}/import?mode=${encodeURIComponent(args.mode)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-ndjson', ...authorization },
+            body: Readable.toWeb(fs.createReadStream(file)),
+            duplex: 'half', // required by fetch for a streamed body
+        });
+        await checkResponse(res);
+        const report = await res.json();
+        console.log(`${report.message} ${report.duplicates} were already there, ${report.invalid} were invalid.`);
+        for (const { line, error } of report.errors) console.log(`  line ${line}: ${error}`);
+    },
+};
+
+const [command, ...rest] = positionals;
+if (!commands[command]) {
+    console.error('Usage: node snapshot.js export|import ...');
+    process.exit(1);
+}
+commands[command](rest).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
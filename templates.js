@@ -0,0 +1,106 @@
+// Named prompt templates for answering. A template is the user message sent
+// to the generator, with placeholders filled in:
+//   {{context}}   the numbered passages, "[1] ...", one per line
+//   {{question}}  the question as asked
+//   {{history}}   earlier turns of the session, or nothing outside a session
+// plus an optional system message replacing GENERATOR_SYSTEM_PROMPT.
+// "default" and "strict" are built in; templates saved through the API are
+// kept in SQLite and may also replace a built-in one, until deleted again.
+
+import { dbRun, dbGet, dbAll } from './db.js';
+
+const CITE = 'Cite the passages you use by their numbers in square brackets, eg [2], right after the claims they support.';
+
+const BUILT_IN_TEMPLATES = {
+    default: {
+        description: 'Answers from the context, guessing when it falls short.',
+        system: null,
+        template: `Answer the question based on the context below. If the question can't be answered based on the context, make a reasonable guess. ${CITE}{{history}}\n Context: {{context}}\nQuestion: {{question}}\nAnswer:`,
+    },
+    strict: {
+        description: 'Answers only from the context, otherwise says it does not know.',
+        system: 'You answer questions strictly from the supplied context and never from outside knowledge.',
+        template: `Answer the question using only the context below. If the context does not contain the answer, reply with "I don't know." and nothing else. ${CITE}{{history}}\n Context: {{context}}\nQuestion: {{question}}\nAnswer:`,
+    },
+};
+
+const TEMPLATE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const templateError = (message, status) => Object.assign(new Error(message), { status });
+
+const templateDetails = (name, row, builtIn) => ({
+    name,
+    description: row.description ?? null,
+    system: row.system ?? null,
+    template: row.template,
+    builtIn: Boolean(builtIn),
+    edited: Boolean(builtIn && row.updated_at),
+    updatedAt: row.updated_at ?? null,
+});
+
+// The original built-in default, used when no template is chosen
+const DEFAULT_TEMPLATE = templateDetails('default', BUILT_IN_TEMPLATES.default, true);
+
+/**
+ * Returns a template by name: the stored version if there is one, else the built-in.
+ * @param {string} name - The template name.
+ * @returns {object|null} { name, description, system, template, builtIn, edited }, or null.
+ */
+async function getTemplate(name) {
+    const row = await dbGet(`SELECT * FROM prompt_templates WHERE name = ?`, [name]);
+    if (row) return templateDetails(name, row, BUILT_IN_TEMPLATES[name]);
+    return BUILT_IN_TEMPLATES[name] ? templateDetails(name, BUILT_IN_TEMPLATES[name], true) : null;
+}
+
+/**
+ * Lists the built-in and stored templates.
+ * @returns {object[]} The templates, by name.
+ */
+async function listTemplates() {
+    const rows = await dbAll(`SELECT * FROM prompt_templates`);
+    const templates = new Map(Object.entries(BUILT_IN_TEMPLATES).map(([name, template]) => [name, templateDetails(name, template, true)]));
+    for (const row of rows) templates.set(row.name, templateDetails(row.name, row, BUILT_IN_TEMPLATES[row.name]));
+    return [...templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Creates or replaces a template.
+ * @param {string} name - Letters, digits, "_" and "-", up to 64 characters.
+ * @param {object} fields - { template, system, description }; template must use {{context}} and {{question}}.
+ * @returns {object} The saved template.
+ * @throws {Error} With status 400 when the name or template is invalid.
+ */
+async function saveTemplate(name, { template, system = null, description = null }) {
+    if (!TEMPLATE_NAME.test(name)) {
+        throw templateError('Template names are 1-64 letters, digits, "_" or "-", starting with a letter or digit', 400);
+    }
+    if (typeof template !== 'string' || !template.includes('{{context}}') || !template.includes('{{question}}')) {
+        throw templateError('A template must contain {{context}} and {{question}}', 400);
+    }
+    await dbRun(
+        `INSERT OR REPLACE INTO prompt_templates (name, description, system, template, updated_at) VALUES (?, ?, ?, ?, ?)`,
+        [name, description, system, template, new Date().toISOString()]
+    );
+    return getTemplate(name);
+}
+
+/**
+ * Deletes a stored template; a built-in one goes back to its original text.
+ * @param {string} name - The template name.
+ * @returns {boolean} Whether there was a stored template.
+ */
+async function deleteTemplate(name) {
+    const { changes } = await dbRun(`DELETE FROM prompt_templates WHERE name = ?`, [name]);
+    return changes > 0;
+}
+
+/**
+ * Fills in a template's placeholders.
+ * @param {object} template - A template from getTemplate.
+ * @param {object} values - { context, question, history }.
+ * @returns {string} The prompt.
+ */
+function renderTemplate(template, values) {
+    return template.template.replace(/\{\{(context|question|history)\}\}/g, (placeholder, key) => values[key] ?? '');
+}
+
+export { DEFAULT_TEMPLATE, getTemplate, listTemplates, saveTemplate, deleteTemplate, renderTemplate };
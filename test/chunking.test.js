@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CHUNKING_STRATEGIES, chunkText, countTokens, truncateTokens } from '../chunking.js';
+
+const words = Array.from({ length: 25 }, (_, i) => `word${i}`);
+const prose = [
+    'Vector search finds passages by meaning.',
+    'Keyword search finds them by their literal terms!',
+    'Hybrid search blends both rankings with reciprocal rank fusion.',
+    'Chunks are the unit that gets embedded and returned?',
+    'Smaller chunks are more precise, larger ones carry more context.',
+    'Overlap keeps a sentence that straddles a boundary findable.',
+].join(' ');
+const markdown = `# Install\n\nRun npm install in the project root.\n\n# Configure\n\nSet the API key.\nPick an embedding provider.\n\n# Run\n\n${prose}`;
+
+// Every chunk's text is the stretch of the original its offsets point at
+const assertOffsets = (text, chunks) => {
+    for (const chunk of chunks) assert.equal(text.slice(chunk.start, chunk.end), chunk.text);
+};
+
+test('words chunks are windows of size words stepping by size minus overlap', async () => {
+    const text = words.join(' ');
+    const chunks = await chunkText(text, { size: 10, overlap: 3 });
+    assert.deepEqual(chunks.map((chunk) => chunk.text.split(' ')[0]), ['word0', 'word7', 'word14', 'word21']);
+    assert.deepEqual(chunks.map((chunk) => chunk.text.split(' ').length), [10, 10, 10, 4]);
+    assertOffsets(text, chunks);
+    assert.equal(chunks[chunks.length - 1].end, text.length);
+});
+
+test('words chunks stop at the end of the text without a trailing overlap chunk', async () => {
+    const chunks = await chunkText(words.slice(0, 10).join(' '), { size: 10, overlap: 3 });
+    assert.equal(chunks.length, 1);
+    assert.deepEqual(await chunkText('', { size: 10, overlap: 3 }), []);
+});
+
+test('tokens chunks stay within size tokens and never cut a word', async () => {
+    const chunks = await chunkText(prose, { strategy: 'tokens', size: 20, overlap: 5 });
+    assert.ok(chunks.length > 1);
+    assertOffsets(prose, chunks);
+    for (const chunk of chunks) {
+        assert.ok(countTokens(chunk.text) <= 20, chunk.text);
+        assert.ok(chunk.start === 0 || /\s/.test(prose[chunk.start - 1]));
+        assert.ok(chunk.end === prose.length || /\s/.test(prose[chunk.end]));
+    }
+    for (let i = 1; i < chunks.length; i++) {
+        assert.ok(chunks[i].start > chunks[i - 1].start);
+        assert.ok(chunks[i].start < chunks[i - 1].end, 'neighbouring chunks overlap');
+    }
+    assert.equal(chunks[chunks.length - 1].end, prose.length);
+});
+
+test('sentences chunks are whole sentences', async () => {
+    const chunks = await chunkText(prose, { strategy: 'sentences', size: 30, overlap: 0 });
+    assert.ok(chunks.length > 1);
+    assertOffsets(prose, chunks);
+    for (const chunk of chunks) {
+        assert.match(chunk.text, /^[A-Z].*[.!?]$/);
+        assert.ok(countTokens(chunk.text) <= 30);
+    }
+    for (let i = 1; i < chunks.length; i++) assert.ok(chunks[i].start >= chunks[i - 1].end);
+});
+
+test('recursive chunks split on headings before sentences', async () => {
+    const chunks = await chunkText(markdown, { strategy: 'recursive', size: 25, overlap: 0 });
+    assertOffsets(markdown, chunks);
+    assert.ok(chunks[0].text.startsWith('# Install'));
+    assert.ok(chunks[0].text.includes('# Configure'), 'small sections are packed together');
+    assert.ok(chunks[1].text.startsWith('# Run'));
+    assert.ok(chunks.slice(2).every((chunk) => /[.!?]$/.test(chunk.text)), 'an oversized section is split into sentences');
+    for (const chunk of chunks) assert.ok(countTokens(chunk.text) <= 25, chunk.text);
+});
+
+test('semantic chunks break where neighbouring sentences differ most', async () => {
+    const text = 'Cats purr. Cats nap. Stocks fell. Stocks rose.';
+    const embed = async (sentences) => sentences.map((sentence) => (sentence.startsWith('Cats') ? [1, 0] : [0, 1]));
+    const chunks = await chunkText(text, { strategy: 'semantic', size: 100, overlap: 0, embed, breakpointPercentile: 10 });
+    assert.deepEqual(chunks.map((chunk) => chunk.text), ['Cats purr. Cats nap.', 'Stocks fell. Stocks rose.']);
+    assertOffsets(text, chunks);
+    await assert.rejects(chunkText(text, { strategy: 'semantic', size: 100, overlap: 0 }), /embedding function/);
+});
+
+test('an unknown strategy or an overlap of at least size is rejected', async () => {
+    assert.deepEqual(CHUNKING_STRATEGIES, ['words', 'tokens', 'sentences', 'recursive', 'semantic']);
+    await assert.rejects(chunkText(prose, { strategy: 'pages', size: 10, overlap: 0 }), /Unknown chunking strategy/);
+    await assert.rejects(chunkText(prose, { size: 10, overlap: 10 }), /larger than the overlap/);
+    await assert.rejects(chunkText(prose, { size: 0, overlap: 0 }), /larger than the overlap/);
+    await assert.rejects(chunkText(prose, { size: 10, overlap: -1 }), /larger than the overlap/);
+});
+
+test('truncateTokens keeps whole words within the limit', () => {
+    const truncated = truncateTokens(prose, 12);
+    assert.ok(prose.startsWith(truncated));
+    assert.ok(countTokens(truncated) <= 12);
+    assert.ok(/\s/.test(prose[truncated.length]));
+    assert.equal(truncateTokens('short text', 100), 'short text');
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createIndex, saveIndex, loadIndex } from '../faiss.js';
+
+// Seeded uniform values in [-0.5, 0.5), so every run indexes the same vectors
+const createRandom = (seed) => {
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647 - 0.5;
+};
+
+const randomVectors = (count, dimension, seed = 1) => {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => Float32Array.from({ length: dimension }, random));
+};
+
+const fill = (index, vectors) => vectors.forEach((vector, i) => index.add(vector, i + 1));
+
+// Share of the exact top-k the index also returns, averaged over the queries
+const recall = (index, exact, queries, k) => {
+    let found = 0;
+    for (const query of queries) {
+        const expected = new Set(exact.search(query, k).map((result) => result.docId));
+        found += index.search(query, k).filter((result) => expected.has(result.docId)).length;
+    }
+    return found / (queries.length * k);
+};
+
+test('hnsw recall matches a brute-force scan', () => {
+    const vectors = randomVectors(2000, 32);
+    const queries = randomVectors(50, 32, 7);
+    const exact = createIndex({ type: 'flat' });
+    const hnsw = createIndex({ type: 'hnsw', exactThreshold: 0 });
+    fill(exact, vectors);
+    fill(hnsw, vectors);
+    assert.ok(recall(hnsw, exact, queries, 10) >= 0.9);
+});
+
+test('search returns the most similar vectors first', () => {
+    const index = createIndex({ type: 'flat' });
+    index.add([1, 0, 0], 1);
+    index.add([0.9, 0.1, 0], 2);
+    index.add([0, 0, 1], 3);
+    const results = index.search([1, 0, 0], 3);
+    assert.deepEqual(results.map((result) => result.docId), [1, 2, 3]);
+    assert.ok(Math.abs(results[0].score - 1) < 1e-6);
+});
+
+test('removed vectors never appear in results', () => {
+    const vectors = randomVectors(300, 16);
+    const index = createIndex({ type: 'hnsw', exactThreshold: 0 });
+    fill(index, vectors);
+    for (let docId = 1; docId <= 100; docId++) assert.equal(index.remove(docId), true);
+    assert.equal(index.remove(1), false);
+    assert.equal(index.size, 200);
+    assert.equal(index.tombstones, 100);
+    for (const query of vectors.slice(0, 20)) {
+        assert.ok(index.search(query, 10).every((result) => result.docId > 100));
+    }
+});
+
+test('tombstones are compacted once past both the minimum and the threshold', () => {
+    const vectors = randomVectors(100, 16);
+    const index = createIndex({ type: 'hnsw', exactThreshold: 0, compactThreshold: 0.2, compactMinimum: 30 });
+    fill(index, vectors);
+    for (let docId = 1; docId <= 29; docId++) index.remove(docId);
+    assert.equal(index.tombstones, 29);
+    index.remove(30);
+    assert.equal(index.tombstones, 0);
+    assert.equal(index.size, 70);
+    vectors.slice(30).forEach((vector, i) => {
+        assert.equal(index.search(vector, 1)[0].docId, i + 31);
+    });
+});
+
+test('a snapshot loads back with the same results', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'faiss-test-'));
+    try {
+        for (const quantization of ['none', 'int8', 'pq']) {
+            const vectors = randomVectors(400, 16);
+            const index = createIndex({ type: 'hnsw', exactThreshold: 0, quantization, pqSubvectors: 4, pqTrainSize: 200 });
+            fill(index, vectors);
+            for (let docId = 1; docId <= 50; docId++) index.remove(docId);
+            const filePath = path.join(dir, `${quantization}.index`);
+            await saveIndex(index, filePath, { collection: 'default' });
+            const { index: loaded, meta } = await loadIndex(filePath, { efSearch: 100 });
+            assert.deepEqual(meta, { collection: 'default' });
+            assert.equal(loaded.quantization, quantization);
+            assert.equal(loaded.size, index.size);
+            assert.equal(loaded.tombstones, index.tombstones);
+            assert.equal(loaded.params.efSearch, 100);
+            for (const query of randomVectors(10, 16, 3)) {
+                assert.deepEqual(loaded.search(query, 5, { efSearch: 64 }), index.search(query, 5));
+            }
+        }
+        assert.equal(await loadIndex(path.join(dir, 'missing.index')), null);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('quantized indexes keep finding each vector', () => {
+    for (const quantization of ['int8', 'pq']) {
+        const vectors = randomVectors(500, 16);
+        const index = createIndex({ type: 'flat', quantization, pqSubvectors: 4, pqTrainSize: 200 });
+        fill(index, vectors);
+        const hits = vectors.filter((vector, i) => index.search(vector, 1)[0].docId === i + 1).length;
+        assert.ok(hits / vectors.length >= (quantization === 'int8' ? 0.99 : 0.5), `${quantization}: ${hits} hits`);
+    }
+});
+
+test('vectors of the wrong dimension are rejected', () => {
+    const index = createIndex({ type: 'flat' });
+    index.add([1, 0, 0], 1);
+    assert.throws(() => index.add([1, 0], 2), /dimension/);
+    assert.throws(() => index.search([1, 0], 1), /dimension/);
+    assert.throws(() => createIndex({ type: 'ivf' }), /Unknown index type/);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compileFilter } from '../filter.js';
+
+test('a bare value on a built-in field compares its column', () => {
+    assert.deepEqual(compileFilter({ sourceName: 'a.txt' }), { where: '(source_name = ?)', params: ['a.txt'] });
+});
+
+test('other fields are read from the JSON metadata', () => {
+    assert.deepEqual(compileFilter({ year: { $gte: 2020, $lt: 2025 } }), {
+        where: '(json_extract(metadata, ?) >= ? AND json_extract(metadata, ?) < ?)',
+        params: ['$."year"', 2020, '$."year"', 2025],
+    });
+    assert.deepEqual(compileFilter({ 'metadata.author.name': 'Ada' }).params, ['$."author"."name"', 'Ada']);
+});
+
+test('$in, $nin, $exists and booleans compile to SQL', () => {
+    assert.deepEqual(compileFilter({ sourceName: { $in: ['a.txt', 'b.txt'] } }), {
+        where: '(source_name IN (?, ?))',
+        params: ['a.txt', 'b.txt'],
+    });
+    assert.equal(compileFilter({ chunkIndex: { $nin: [0] } }).where, '(chunk_index NOT IN (?))');
+    assert.deepEqual(compileFilter({ sourcePath: { $exists: false } }), { where: '(source_path IS NULL)', params: [] });
+    assert.deepEqual(compileFilter({ draft: true }).params, ['$."draft"', 1]);
+});
+
+test('$contains checks a column with instr and metadata with json_each', () => {
+    assert.deepEqual(compileFilter({ sourceName: { $contains: 'report' } }), {
+        where: '(instr(source_name, ?) > 0)',
+        params: ['report'],
+    });
+    const { where, params } = compileFilter({ tags: { $contains: 'gcp' } });
+    assert.match(where, /json_each\(metadata, \?\)/);
+    assert.deepEqual(params, ['$."tags"', 'gcp', '$."tags"', '$."tags"', 'gcp']);
+});
+
+test('$and, $or and $not nest', () => {
+    assert.deepEqual(compileFilter({
+        $or: [{ sourceName: 'a.txt' }, { $not: { chunkIndex: 0 } }],
+        ingestedAt: { $gt: '2025-01-01' },
+    }), {
+        where: '(((source_name = ?)) OR ((NOT ((chunk_index = ?))))) AND (ingested_at > ?)',
+        params: ['a.txt', 0, '2025-01-01'],
+    });
+    assert.deepEqual(compileFilter({}), { where: '1 = 1', params: [] });
+});
+
+test('malformed filters are rejected with a 400', () => {
+    const malformed = [
+        null,
+        [],
+        { sourceName: { $regex: 'a' } },
+        { sourceName: { $in: [] } },
+        { sourceName: { $in: 'a.txt' } },
+        { sourceName: {} },
+        { sourceName: { $eq: { nested: true } } },
+        { 'bad field': 1 },
+        { $or: [] },
+        { $and: {} },
+        { $not: 'a' },
+    ];
+    for (const filter of malformed) {
+        assert.throws(() => compileFilter(filter), (err) => err.status === 400 && err.message.startsWith('Invalid filter: '));
+    }
+});
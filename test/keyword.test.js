@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createKeywordIndex, restoreKeywordIndex, highlightSnippet } from '../keyword.js';
+
+const documents = [
+    [1, 'Kubernetes schedules containers across a cluster of nodes.'],
+    [2, 'Deploying containers to Kubernetes: containers, pods and containers again.'],
+    [3, 'BigQuery is a serverless data warehouse on GCP.'],
+    [4, 'A long note about many unrelated things, with containers mentioned once among a great many other words here.'],
+];
+
+const build = () => {
+    const index = createKeywordIndex();
+    for (const [docId, text] of documents) index.add(docId, text);
+    return index;
+};
+
+test('BM25 ranks by term frequency and document length', () => {
+    const results = build().search('containers', 10);
+    assert.deepEqual(results.map((result) => result.docId), [2, 1, 4]);
+    assert.ok(results.every((result) => result.score > 0));
+});
+
+test('query terms are stemmed and rare terms weigh more', () => {
+    const index = build();
+    assert.deepEqual(index.search('deploy', 10).map((result) => result.docId), [2]);
+    assert.deepEqual(index.search('bigquery', 10).map((result) => result.docId), [3]);
+    const [top] = index.search('kubernetes containers cluster', 1);
+    assert.equal(top.docId, 1);
+    assert.deepEqual(index.search('nothing matches this', 10), []);
+});
+
+test('search honours k and the filter', () => {
+    const index = build();
+    assert.equal(index.search('containers', 2).length, 2);
+    assert.deepEqual(index.search('containers', 10, { filter: new Set([1, 4]) }).map((result) => result.docId), [1, 4]);
+    assert.deepEqual(index.search('containers', 10, { filter: (docId) => docId > 3 }).map((result) => result.docId), [4]);
+});
+
+test('removed documents no longer match', () => {
+    const index = build();
+    assert.equal(index.remove(2, documents[1][1]), true);
+    assert.equal(index.has(2), false);
+    assert.deepEqual(index.search('containers', 10).map((result) => result.docId), [1, 4]);
+    assert.deepEqual(index.search('deploy', 10), []);
+});
+
+test('an index restored from toJSON scores the same', () => {
+    const index = build();
+    const restored = restoreKeywordIndex(JSON.parse(JSON.stringify(index)));
+    assert.equal(restored.size, index.size);
+    for (const query of ['containers', 'kubernetes cluster', 'gcp warehouse']) {
+        assert.deepEqual(restored.search(query, 10), index.search(query, 10));
+    }
+});
+
+test('highlightSnippet marks the words that stem to a query term', () => {
+    const text = documents[1][1];
+    const snippet = highlightSnippet(text, 'container deploy');
+    assert.equal(snippet.text, text);
+    assert.deepEqual(snippet.highlights.map(([start, end]) => text.slice(start, end)),
+        ['Deploying', 'containers', 'containers', 'containers']);
+});
+
+test('a long text is cut to a window around the matches, at word boundaries', () => {
+    const filler = 'lorem ipsum dolor sit amet '.repeat(20);
+    const text = `${filler}the retrieval pipeline uses retrieval twice ${filler}`;
+    const snippet = highlightSnippet(text, 'retrieval', { length: 80 });
+    assert.ok(snippet.text.length <= 80);
+    assert.equal(text.slice(snippet.start, snippet.end), snippet.text);
+    assert.match(snippet.text, /^\S.*\S$/);
+    assert.ok(/\s/.test(text[snippet.start - 1]) && /\s/.test(text[snippet.end]));
+    assert.equal(snippet.highlights.length, 2);
+    for (const [start, end] of snippet.highlights) assert.equal(snippet.text.slice(start, end), 'retrieval');
+});
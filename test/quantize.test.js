@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { int8Encode, encodeVector, decodeVector, defaultSubvectors, trainCodebooks, pqEncode } from '../quantize.js';
+
+const vector = [0.5, -0.25, 0.125, -1, 0.75, 0, 0.3, -0.6];
+
+test('float32 BLOBs decode to the same components', () => {
+    const blob = encodeVector(vector);
+    assert.equal(blob.length, vector.length * 4);
+    assert.deepEqual(Array.from(decodeVector(blob)), Array.from(Float32Array.from(vector)));
+    assert.deepEqual(Array.from(decodeVector(blob, vector.length)), Array.from(Float32Array.from(vector)));
+});
+
+test('int8 BLOBs decode to within half a step of each component', () => {
+    const blob = encodeVector(vector, 'int8');
+    assert.equal(blob.length, vector.length + 4);
+    const scale = blob.readFloatLE(0);
+    assert.ok(Math.abs(scale - 1 / 127) < 1e-6);
+    const decoded = decodeVector(blob, vector.length);
+    vector.forEach((component, i) => assert.ok(Math.abs(decoded[i] - component) <= scale / 2 + 1e-6));
+});
+
+test('int8 codes stay within a signed byte', () => {
+    const codes = new Int8Array(vector.length + 2);
+    const scale = int8Encode(vector.map((component) => component * 1000), codes, 2);
+    assert.equal(codes[0], 0);
+    assert.equal(codes[5], -127);
+    assert.ok(Math.abs(codes[5] * scale + 1000) < 1e-3);
+    assert.equal(int8Encode([0, 0], new Int8Array(2)), 1);
+});
+
+test('a BLOB at an unaligned offset still decodes', () => {
+    const blob = encodeVector(vector);
+    const pool = Buffer.alloc(blob.length + 3);
+    blob.copy(pool, 3);
+    const unaligned = pool.subarray(3);
+    assert.notEqual(unaligned.byteOffset % 4, 0);
+    assert.deepEqual(Array.from(decodeVector(unaligned)), Array.from(Float32Array.from(vector)));
+});
+
+test('the default PQ subvectors divide the dimension', () => {
+    assert.equal(defaultSubvectors(1536), 192);
+    assert.equal(defaultSubvectors(384), 48);
+    assert.equal(defaultSubvectors(20), 2);
+    assert.equal(defaultSubvectors(7), 1);
+    for (const dimension of [8, 12, 100, 768, 1000]) {
+        assert.equal(dimension % defaultSubvectors(dimension), 0);
+    }
+});
+
+test('PQ reconstructs training vectors that each get their own centroid', () => {
+    const dimension = 8;
+    const m = 2;
+    const training = [vector, vector.map((c) => -c), vector.map((c) => c / 2), vector.map((c) => c + 1)];
+    const vectors = Float32Array.from(training.flat());
+    let state = 1;
+    const random = { next: () => (state = (state * 16807) % 2147483647) / 2147483647 };
+    const codebooks = trainCodebooks(vectors, training.length, dimension, m, random);
+    assert.equal(codebooks.length, m * 256 * (dimension / m));
+    const codes = new Uint8Array(m);
+    for (const original of training) {
+        pqEncode(Float32Array.from(original), codebooks, m, training.length, codes);
+        const sub = dimension / m;
+        const decoded = Array.from(codes).flatMap((code, j) => Array.from(codebooks.subarray((j * 256 + code) * sub, (j * 256 + code + 1) * sub)));
+        decoded.forEach((component, i) => assert.ok(Math.abs(component - original[i]) < 1e-6));
+    }
+});